@@ -0,0 +1,127 @@
+/**
+ * adapters.js — Data-source adapters for the Extract step
+ *
+ * Chaque adaptateur expose la même interface :
+ *   { id, label, extract({ signal }) → Promise<{ records, metadata }> }
+ * afin que la chaîne Transform → Load reste identique quelle que soit la source
+ * (module statique, endpoint HTTP JSON, fichier importé, exécution restaurée).
+ */
+
+import { RAW_API_RESPONSE } from '../data/rawData.js';
+import { parseFile } from './fileParsers.js';
+import { applyMapping } from './mapping.js';
+
+/**
+ * Static module adapter — bundled simulated PISTE response
+ */
+export function createStaticAdapter(response = RAW_API_RESPONSE) {
+    return {
+        id: 'static',
+        label: 'Données simulées (API PISTE)',
+        async extract({ signal } = {}) {
+            signal?.throwIfAborted();
+            // Deep copy so the transform step can never mutate the bundled module
+            const copy = JSON.parse(JSON.stringify(response));
+            return normalizeResponse(copy, {
+                source: 'Module statique',
+            });
+        },
+    };
+}
+
+/**
+ * HTTP adapter — JSON endpoint (real PISTE export or local mock server)
+ */
+export function createHttpAdapter(url, { label = 'Endpoint HTTP JSON', headers = {} } = {}) {
+    return {
+        id: 'http',
+        label,
+        url,
+        async extract({ signal } = {}) {
+            const response = await fetch(url, { headers: { Accept: 'application/json', ...headers }, signal });
+            if (!response.ok) {
+                throw new Error(`Extract HTTP ${response.status} — ${url}`);
+            }
+            const payload = await response.json();
+            return normalizeResponse(payload, {
+                source: url,
+            });
+        },
+    };
+}
+
+/**
+ * File adapter — CSV, JSON or XLSX file picked or dropped by the user
+ */
+export function createFileAdapter(file) {
+    return {
+        id: 'file',
+        label: `Fichier ${file.name}`,
+        file,
+        async extract({ signal } = {}) {
+            const { records, metadata } = await parseFile(file);
+            signal?.throwIfAborted();
+            return normalizeResponse({ resultats: records, metadata }, {
+                source: file.name,
+                date_extraction: new Date(file.lastModified || Date.now()).toISOString(),
+            });
+        },
+    };
+}
+
+/**
+ * Stored-run adapter — replays the raw extract saved with a run (see runStore.js)
+ * so a restored run can be transformed again with new settings. Runs saved
+ * without their extract cannot be replayed.
+ */
+export function createStoredRunAdapter(run) {
+    return {
+        id: 'run',
+        label: `Exécution du ${new Date(run.timestamp).toLocaleString('fr-FR')}`,
+        runId: run.id,
+        async extract({ signal } = {}) {
+            signal?.throwIfAborted();
+            if (!run.extract) {
+                throw new Error('Exécution enregistrée sans ses données brutes : relancez le pipeline depuis une source');
+            }
+            // Deep copy so a new transform never mutates the stored extract
+            return JSON.parse(JSON.stringify(run.extract));
+        },
+    };
+}
+
+/**
+ * Wrap an adapter so its records are renamed to the canonical raw schema
+ * before reaching the Transform step (see mapping.js)
+ */
+export function withColumnMapping(adapter, mapping) {
+    return {
+        ...adapter,
+        mapping,
+        async extract(options) {
+            const { records, metadata } = await adapter.extract(options);
+            return { records: applyMapping(records, mapping), metadata };
+        },
+    };
+}
+
+/**
+ * Accepts either a PISTE-shaped payload ({ metadata, resultats }) or a bare
+ * array of records, and fills missing metadata with adapter defaults.
+ */
+function normalizeResponse(payload, defaults) {
+    const records = Array.isArray(payload) ? payload : payload?.resultats;
+    if (!Array.isArray(records)) {
+        throw new Error('Format de source invalide : tableau "resultats" attendu');
+    }
+
+    const metadata = {
+        date_extraction: new Date().toISOString(),
+        region: '',
+        departement: '',
+        ...defaults,
+        ...(Array.isArray(payload) ? {} : payload.metadata),
+    };
+
+    return { records, metadata };
+}
@@ -0,0 +1,164 @@
+/**
+ * dedup.js — Duplicate building detection and merge rules
+ *
+ * Deux enregistrements d'une même année désignent le même bâtiment lorsque
+ * leurs noms normalisés sont identiques et que leurs adresses normalisées
+ * concordent ou que leurs coordonnées sont à moins de DUPLICATE_RADIUS_M.
+ * Les consommations du groupe sont fusionnées selon la politique choisie ;
+ * les autres champs proviennent du dernier enregistrement reçu.
+ */
+
+const SETTINGS_STORAGE_KEY = 'ecopilot:dedup-settings';
+
+// Maximum distance between two reports of the same building (meters)
+export const DUPLICATE_RADIUS_M = 50;
+
+export const MERGE_POLICIES = {
+    keep_latest: 'Garder le dernier',
+    sum: 'Additionner',
+    average: 'Moyenne',
+    separate: 'Ne pas fusionner',
+};
+
+// Fields combined by the merge policy
+const MERGED_FIELDS = ['electricite_kwh', 'gaz_kwh', 'chaleur_kwh', 'eau_m3'];
+
+const DEFAULT_SETTINGS = {
+    policy: 'keep_latest',
+    overrides: {}, // { groupKey: policy }
+};
+
+/**
+ * Returns saved dedup settings: { policy, overrides }
+ */
+export function loadDedupSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        return { ...DEFAULT_SETTINGS, ...saved, overrides: { ...saved?.overrides } };
+    } catch {
+        return { ...DEFAULT_SETTINGS, overrides: {} };
+    }
+}
+
+export function saveDedupSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Group duplicate records and merge each group.
+ * Returns { records, groups } where groups lists every detected duplicate set.
+ */
+export function deduplicate(records, settings = DEFAULT_SETTINGS) {
+    const buckets = new Map();
+
+    records.forEach(record => {
+        const bucketKey = `${record.annee}|${normalizeText(record.nom)}`;
+        const bucket = buckets.get(bucketKey) || [];
+        const group = bucket.find(g => g.members.some(m => isSameBuilding(m, record)));
+
+        if (group) {
+            group.members.push(record);
+        } else {
+            bucket.push({ members: [record] });
+            buckets.set(bucketKey, bucket);
+        }
+    });
+
+    const result = [];
+    const groups = [];
+
+    buckets.forEach(bucket => bucket.forEach(({ members }) => {
+        if (members.length === 1) {
+            result.push(members[0]);
+            return;
+        }
+
+        const first = members[0];
+        const key = `${first.annee}|${buildingKey(first)}`;
+        const overridden = key in settings.overrides;
+        const policy = overridden ? settings.overrides[key] : settings.policy;
+
+        groups.push({
+            key,
+            nom: first.nom,
+            adresse: first.adresse,
+            annee: first.annee,
+            policy,
+            overridden,
+            members: members.map(m => pick(m, ['nom', 'adresse', 'latitude', 'longitude', ...MERGED_FIELDS])),
+        });
+
+        if (policy === 'separate') {
+            // Each kept report becomes its own building (see buildingKey)
+            result.push(...members.map((m, i) => (i === 0 ? m : { ...m, rang_doublon: i + 1 })));
+        } else {
+            result.push(mergeGroup(members, policy));
+        }
+    }));
+
+    return { records: result, groups };
+}
+
+/**
+ * Stable identity of a building across runs and years (normalized name + address),
+ * suffixed with the rank of reports kept apart by the "separate" policy
+ */
+export function buildingKey(record) {
+    const key = `${normalizeText(record.nom)}|${normalizeText(record.adresse)}`;
+    return record.rang_doublon ? `${key}|${record.rang_doublon}` : key;
+}
+
+function mergeGroup(members, policy) {
+    const latest = members[members.length - 1];
+    if (policy === 'keep_latest') return { ...latest };
+
+    // Unknown (null) values are left out: all unknown stays unknown, and an
+    // average only covers the known values
+    const merged = { ...latest };
+    MERGED_FIELDS.forEach(field => {
+        const known = members
+            .map(m => m[field])
+            .filter(value => value !== null && value !== undefined && !isNaN(value))
+            .map(Number);
+        if (known.length === 0) {
+            merged[field] = null;
+            return;
+        }
+        const total = known.reduce((sum, value) => sum + value, 0);
+        merged[field] = policy === 'average' ? total / known.length : total;
+    });
+    return merged;
+}
+
+function isSameBuilding(a, b) {
+    const addrA = normalizeText(a.adresse);
+    const addrB = normalizeText(b.adresse);
+    if (addrA && addrA === addrB) return true;
+    return distanceMeters(a.latitude, a.longitude, b.latitude, b.longitude) <= DUPLICATE_RADIUS_M;
+}
+
+// ---- Utility functions ----
+
+function normalizeText(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Haversine distance
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const R = 6371000;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function pick(obj, keys) {
+    return Object.fromEntries(keys.map(k => [k, obj[k]]));
+}
@@ -0,0 +1,100 @@
+/**
+ * degreeDays.js — Climate correction of heating consumption (DJU)
+ *
+ * Ramène la consommation de chauffage (gaz et réseau de chaleur) à une
+ * année climatique normale : consommation × DJU de référence / DJU de
+ * l'année. Aucune série n'est livrée avec l'application : tant qu'une série
+ * officielle (Météo-France, station de référence) n'a pas été importée, les
+ * champs corrigés restent vides.
+ */
+
+import { parseLocaleNumber } from './units.js';
+
+const SETTINGS_STORAGE_KEY = 'ecopilot:degree-days';
+
+// No series: no climate correction
+const DEFAULT_DEGREE_DAYS = {
+    station: 'Aucune série importée',
+    base: 18,
+    reference: null,
+    annual: {},
+};
+
+// Invented Lyon values shipped by earlier versions and saved with the settings
+const LEGACY_PLACEHOLDER_STATIONS = [
+    'Lyon-Bron (69)',
+    'Lyon — valeurs indicatives, à remplacer par la série officielle',
+];
+
+// Consumption fields treated as heating
+export const HEATING_FIELDS = ['gaz_kwh', 'chaleur_kwh'];
+
+/**
+ * Returns the degree-day series in use: { station, base, reference, annual: { year: dju } }
+ */
+export function loadDegreeDays() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (!saved || LEGACY_PLACEHOLDER_STATIONS.includes(saved.station)) return structuredClone(DEFAULT_DEGREE_DAYS);
+        return { ...DEFAULT_DEGREE_DAYS, ...saved, annual: { ...saved.annual } };
+    } catch {
+        return structuredClone(DEFAULT_DEGREE_DAYS);
+    }
+}
+
+/**
+ * True once a series with a reference has been imported or entered
+ */
+function hasDegreeDays(series) {
+    return series.reference > 0 && Object.keys(series.annual).length > 0;
+}
+
+// An emptied series goes back to the default: no correction
+export function saveDegreeDays(series) {
+    if (!hasDegreeDays(series)) {
+        resetDegreeDays();
+        return;
+    }
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(series));
+}
+
+export function resetDegreeDays() {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+}
+
+/**
+ * Parse "année;DJU" lines (CSV export or pasted text) into { year: dju }.
+ * Header and malformed lines are ignored.
+ */
+export function parseDegreeDays(text) {
+    const annual = {};
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+        // Semicolon or tab when present, so "2024;2205,5" keeps its decimal comma
+        const separator = /[;\t]/.test(line) ? /[;\t]/ : ',';
+        const [yearCell, djuCell] = line.split(separator).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const year = Number(yearCell);
+        const dju = parseLocaleNumber(djuCell || '');
+        if (Number.isInteger(year) && djuCell && dju > 0) annual[year] = dju;
+    });
+    return annual;
+}
+
+/**
+ * Climate-corrected heating fields of a record; null without a series or
+ * when the year is missing from it
+ */
+export function normalizeClimate(record, series = DEFAULT_DEGREE_DAYS) {
+    const heating = HEATING_FIELDS.reduce((sum, field) => sum + (record[field] || 0), 0);
+    const dju = series.annual?.[record.annee] ?? null;
+    const corrected = dju && series.reference > 0 ? heating * series.reference / dju : null;
+
+    return {
+        chauffage_kwh: heating,
+        dju_annee: dju,
+        chauffage_corrige_kwh: corrected,
+        energie_totale_corrigee_kwh: corrected === null ? null : record.electricite_kwh + corrected,
+        intensite_chauffage_corrigee: corrected !== null && record.surface_m2 > 0
+            ? corrected / record.surface_m2
+            : null,
+    };
+}
@@ -0,0 +1,70 @@
+/**
+ * diff.js — Comparison between two ETL run outputs
+ *
+ * Apparie les enregistrements de deux exécutions par bâtiment et par année,
+ * puis liste les bâtiments ajoutés, supprimés et les champs modifiés.
+ */
+
+// Fields compared between two runs
+export const DIFF_FIELDS = ['electricite_kwh', 'gaz_kwh', 'eau_m3', 'classe_dpe'];
+
+/**
+ * Compare two record lists (base = older run, target = newer run)
+ * Returns { added, removed, changed: [{ key, base, target, changes }], unchangedCount }
+ */
+export function diffRuns(baseRecords, targetRecords, fields = DIFF_FIELDS) {
+    const baseByKey = indexByKey(baseRecords);
+    const targetByKey = indexByKey(targetRecords);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchangedCount = 0;
+
+    targetByKey.forEach((target, key) => {
+        const base = baseByKey.get(key);
+        if (!base) {
+            added.push(target);
+            return;
+        }
+
+        const changes = {};
+        fields.forEach(field => {
+            if (!isSameValue(base[field], target[field])) {
+                changes[field] = {
+                    before: base[field],
+                    after: target[field],
+                    delta: typeof base[field] === 'number' && typeof target[field] === 'number'
+                        ? target[field] - base[field]
+                        : null,
+                };
+            }
+        });
+
+        if (Object.keys(changes).length > 0) {
+            changed.push({ key, base, target, changes });
+        } else {
+            unchangedCount++;
+        }
+    });
+
+    baseByKey.forEach((base, key) => {
+        if (!targetByKey.has(key)) removed.push(base);
+    });
+
+    return { added, removed, changed, unchangedCount };
+}
+
+// ---- Utility functions ----
+
+function indexByKey(records) {
+    return new Map(records.map(r => [`${r.batiment_id}|${r.annee}`, r]));
+}
+
+// Tolerate floating-point noise on full-precision values
+function isSameValue(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+    return (a ?? '') === (b ?? '');
+}
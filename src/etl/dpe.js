@@ -0,0 +1,63 @@
+/**
+ * dpe.js — DPE class estimation from measured consumption
+ *
+ * Convertit les consommations mesurées en énergie primaire par m² (facteur
+ * de conversion de l'électricité), en déduit l'étiquette énergie selon les
+ * seuils réglementaires du DPE et signale les bâtiments dont la classe
+ * déclarée ne correspond pas à l'estimation.
+ */
+
+import { DPE_CLASSES } from './schema.js';
+
+// Primary-energy conversion factors (kWhEP per kWhEF), electricity at 1.9 since 2026
+export const PRIMARY_ENERGY_FACTORS = {
+    electricite_kwh: 1.9,
+    gaz_kwh: 1,
+    chaleur_kwh: 1,
+};
+
+// Upper bound of each energy class (kWhEP/m²/an), G above 420
+const DPE_BANDS = [
+    ['A', 70],
+    ['B', 110],
+    ['C', 180],
+    ['D', 250],
+    ['E', 330],
+    ['F', 420],
+];
+
+/**
+ * Primary energy per m², estimated class and declared-vs-estimated check.
+ * Fields stay null when the surface is unknown.
+ */
+export function estimateDpe(record) {
+    if (!(record.surface_m2 > 0)) {
+        return {
+            energie_primaire_kwh_m2: null,
+            classe_dpe_estimee: null,
+            dpe_ecart: null,
+            dpe_incoherent: false,
+        };
+    }
+
+    const primaryEnergy = Object.entries(PRIMARY_ENERGY_FACTORS)
+        .reduce((sum, [field, factor]) => sum + (record[field] || 0) * factor, 0);
+    const intensity = primaryEnergy / record.surface_m2;
+    const estimated = getDpeClass(intensity);
+
+    // Positive gap: the building performs worse than its declared class
+    const declared = DPE_CLASSES.indexOf(record.classe_dpe);
+    const gap = declared === -1 ? null : DPE_CLASSES.indexOf(estimated) - declared;
+
+    return {
+        energie_primaire_kwh_m2: intensity,
+        classe_dpe_estimee: estimated,
+        dpe_ecart: gap,
+        dpe_incoherent: gap !== null && gap !== 0,
+    };
+}
+
+export function getDpeClass(intensity) {
+    const band = DPE_BANDS.find(([, max]) => intensity <= max);
+    return band ? band[0] : 'G';
+}
@@ -0,0 +1,58 @@
+/**
+ * emissions.js — Greenhouse-gas emissions per building (kgCO₂e)
+ *
+ * Applique un facteur d'émission à chaque vecteur énergétique (électricité,
+ * gaz naturel, réseau de chaleur) et en déduit les émissions annuelles,
+ * rapportées au m² et à l'occupant. Les facteurs sont paramétrables et
+ * enregistrés localement.
+ */
+
+const SETTINGS_STORAGE_KEY = 'ecopilot:emission-factors';
+
+// Energy vector → consumption field and default factor (kgCO₂e/kWh, Base Empreinte ADEME)
+export const ENERGY_VECTORS = {
+    electricite: { label: 'Électricité', field: 'electricite_kwh', defaultFactor: 0.052 },
+    gaz: { label: 'Gaz naturel', field: 'gaz_kwh', defaultFactor: 0.227 },
+    chaleur: { label: 'Réseau de chaleur', field: 'chaleur_kwh', defaultFactor: 0.1 },
+};
+
+const DEFAULT_FACTORS = Object.fromEntries(
+    Object.entries(ENERGY_VECTORS).map(([vector, { defaultFactor }]) => [vector, defaultFactor])
+);
+
+/**
+ * Returns saved emission factors: { electricite, gaz, chaleur } in kgCO₂e/kWh
+ */
+export function loadEmissionFactors() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        return { ...DEFAULT_FACTORS, ...saved };
+    } catch {
+        return { ...DEFAULT_FACTORS };
+    }
+}
+
+export function saveEmissionFactors(factors) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(factors));
+}
+
+export function resetEmissionFactors() {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+}
+
+/**
+ * Emission fields of a record; ratios are null when the surface or
+ * the occupancy is unknown
+ */
+export function computeEmissions(record, factors = DEFAULT_FACTORS) {
+    const emissions = Object.entries(ENERGY_VECTORS).reduce(
+        (sum, [vector, { field }]) => sum + (record[field] || 0) * (factors[vector] ?? DEFAULT_FACTORS[vector]),
+        0
+    );
+
+    return {
+        emissions_kgco2e: emissions,
+        emissions_kgco2e_m2: record.surface_m2 > 0 ? emissions / record.surface_m2 : null,
+        emissions_kgco2e_occupant: record.occupants > 0 ? emissions / record.occupants : null,
+    };
+}
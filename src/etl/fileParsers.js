@@ -0,0 +1,133 @@
+/**
+ * fileParsers.js — Parsers for imported consumption files
+ *
+ * Convertit un fichier CSV (séparateur « ; » ou « , »), JSON ou XLSX
+ * en tableau d'enregistrements bruts prêts pour l'étape Transform.
+ */
+
+export const SUPPORTED_EXTENSIONS = ['csv', 'json', 'xlsx', 'xls'];
+
+/**
+ * Parse an imported File into raw records
+ */
+export async function parseFile(file) {
+    const format = getFileFormat(file.name);
+
+    switch (format) {
+        case 'csv':
+            return { format, records: parseCSV(await file.text()) };
+        case 'json':
+            return { format, ...parseJSON(await file.text()) };
+        case 'xlsx':
+        case 'xls':
+            return { format, records: await parseWorkbook(await file.arrayBuffer()) };
+        default:
+            throw new Error(`Format non supporté : ${file.name}`);
+    }
+}
+
+export function getFileFormat(fileName) {
+    const ext = String(fileName).split('.').pop().toLowerCase();
+    return SUPPORTED_EXTENSIONS.includes(ext) ? ext : null;
+}
+
+/**
+ * Parse CSV text, auto-detecting the separator from the header line
+ */
+export function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const headerLine = content.split(/\r?\n/, 1)[0] || '';
+    const separator = countOutsideQuotes(headerLine, ';') >= countOutsideQuotes(headerLine, ',') ? ';' : ',';
+
+    const rows = splitRows(content, separator)
+        .filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) return [];
+
+    const headers = rows[0].map(h => h.trim());
+    return rows.slice(1).map(row =>
+        Object.fromEntries(headers.map((h, i) => [h, emptyToNull(row[i])]))
+    );
+}
+
+/**
+ * Parse JSON text — PISTE-shaped payload or bare array
+ */
+function parseJSON(text) {
+    const payload = JSON.parse(text);
+    const records = Array.isArray(payload) ? payload : payload?.resultats;
+    if (!Array.isArray(records)) {
+        throw new Error('Format JSON invalide : tableau "resultats" attendu');
+    }
+    return { records, metadata: Array.isArray(payload) ? undefined : payload.metadata };
+}
+
+/**
+ * Parse the first sheet of an Excel workbook (library loaded on demand)
+ */
+async function parseWorkbook(buffer) {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(buffer, { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) return [];
+    return XLSX.utils.sheet_to_json(sheet, { defval: null, raw: true });
+}
+
+// ---- Utility functions ----
+
+function splitRows(text, separator) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function countOutsideQuotes(line, char) {
+    let count = 0;
+    let inQuotes = false;
+    for (const c of line) {
+        if (c === '"') inQuotes = !inQuotes;
+        else if (c === char && !inQuotes) count++;
+    }
+    return count;
+}
+
+function emptyToNull(value) {
+    if (value === undefined) return null;
+    const trimmed = value.trim();
+    return trimmed === '' ? null : trimmed;
+}
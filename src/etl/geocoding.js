@@ -0,0 +1,231 @@
+/**
+ * geocoding.js — Address geocoding for records without coordinates
+ *
+ * Étape intercalée entre Extract et Transform : les enregistrements sans
+ * lat/lng mais avec une adresse sont géocodés par un géocodeur interchangeable
+ * (extrait BAN hors ligne ou service local compatible avec l'API BAN).
+ * Les résultats sont mis en cache localement pour les exécutions suivantes.
+ *
+ * Contrat d'un géocodeur :
+ *   { id, label, geocode(address, { signal }) → Promise<{ lat, lng } | null> }
+ */
+
+import { parseCSV } from './fileParsers.js';
+
+const SETTINGS_STORAGE_KEY = 'ecopilot:geocoder';
+const CACHE_STORAGE_KEY = 'ecopilot:geocode-cache';
+
+export const GEOCODER_MODES = {
+    none: 'Désactivé',
+    service: 'Service local (API BAN)',
+    ban: 'Extrait BAN (fichier CSV)',
+};
+
+const DEFAULT_SETTINGS = {
+    mode: 'none',
+    url: '/api/geocode',
+};
+
+// BAN extract loaded for the session: normalized address → { lat, lng }
+let banIndex = null;
+let banFileName = null;
+
+// ---- Settings ----
+
+/**
+ * Returns saved geocoder settings: { mode, url }. The BAN extract only
+ * lives for the session, so the BAN mode falls back to the default one
+ * until an extract is loaded again.
+ */
+export function loadGeocoderSettings() {
+    let settings;
+    try {
+        settings = { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) };
+    } catch {
+        settings = { ...DEFAULT_SETTINGS };
+    }
+    if (settings.mode === 'ban' && !banIndex) settings.mode = DEFAULT_SETTINGS.mode;
+    return settings;
+}
+
+export function saveGeocoderSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function resetGeocoderSettings() {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+}
+
+/**
+ * Build the geocoder described by the settings, null when disabled or
+ * when the BAN extract has not been loaded in this session
+ */
+export function createGeocoder(settings = loadGeocoderSettings()) {
+    switch (settings.mode) {
+        case 'service':
+            return createServiceGeocoder(settings.url);
+        case 'ban':
+            return banIndex ? createBanGeocoder(banIndex) : null;
+        default:
+            return null;
+    }
+}
+
+// ---- Geocoders ----
+
+/**
+ * Local service answering like api-adresse.data.gouv.fr: GET {url}/search/?q=…&limit=1
+ * returning a GeoJSON FeatureCollection
+ */
+export function createServiceGeocoder(url) {
+    return {
+        id: 'service',
+        label: `Service ${url}`,
+        async geocode(address, { signal } = {}) {
+            const query = new URLSearchParams({ q: address, limit: '1' });
+            const response = await fetch(`${url.replace(/\/$/, '')}/search/?${query}`, { signal });
+            if (!response.ok) {
+                throw new Error(`Géocodeur : HTTP ${response.status} ${response.statusText}`);
+            }
+            const [feature] = (await response.json()).features || [];
+            if (!feature) return null;
+            const [lng, lat] = feature.geometry.coordinates;
+            return { lat, lng };
+        },
+    };
+}
+
+/**
+ * Offline geocoder over a BAN extract index (see loadBanExtract)
+ */
+export function createBanGeocoder(index) {
+    return {
+        id: 'ban',
+        label: `Extrait BAN ${banFileName || ''}`.trim(),
+        async geocode(address) {
+            const key = normalizeAddress(address);
+            return index.get(key) || index.get(withoutCommune(key)) || null;
+        },
+    };
+}
+
+/**
+ * Parse a BAN CSV extract (adresses-XX.csv: numero, rep, nom_voie,
+ * code_postal, nom_commune, lon, lat) and keep it for the session.
+ * Returns the number of indexed addresses.
+ */
+export async function loadBanExtract(file) {
+    const rows = parseCSV(await file.text());
+    const index = new Map();
+
+    rows.forEach(row => {
+        const lat = Number(row.lat);
+        const lng = Number(row.lon);
+        if (!lat || !lng) return;
+        const key = normalizeAddress(`${row.numero}${row.rep || ''} ${row.nom_voie} ${row.code_postal} ${row.nom_commune}`);
+        index.set(key, { lat, lng });
+        if (!index.has(withoutCommune(key))) index.set(withoutCommune(key), { lat, lng });
+    });
+
+    banIndex = index;
+    banFileName = file.name;
+    return rows.length;
+}
+
+export function getBanExtractName() {
+    return banFileName;
+}
+
+// ---- Pipeline step ----
+
+/**
+ * Fill lat/lng of raw records that only have an address.
+ * Geocoded records get a `geocode` field naming the geocoder (or 'cache').
+ * Returns { records, geocoded, failed }
+ */
+export async function geocodeRecords(records, geocoder, { signal, onProgress } = {}) {
+    const pending = records.filter(needsGeocoding);
+    const cache = loadCache();
+    const found = new Map();
+    let failed = 0;
+
+    for (const [i, record] of pending.entries()) {
+        signal?.throwIfAborted();
+        const key = normalizeAddress(record.adresse_postale);
+
+        if (cache[key]) {
+            found.set(record, { ...cache[key], source: 'cache' });
+        } else if (geocoder) {
+            try {
+                const result = await geocoder.geocode(record.adresse_postale, { signal });
+                if (result) {
+                    cache[key] = result;
+                    found.set(record, { ...result, source: geocoder.id });
+                } else {
+                    failed++;
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`⚠️ [ETL] Géocodage impossible pour « ${record.adresse_postale} » :`, error.message);
+                failed++;
+            }
+        } else {
+            failed++;
+        }
+        onProgress?.({ processed: i + 1, total: pending.length });
+    }
+
+    saveCache(cache);
+
+    return {
+        records: records.map(record => {
+            const result = found.get(record);
+            return result
+                ? { ...record, lat: result.lat, lng: result.lng, geocode: result.source }
+                : record;
+        }),
+        geocoded: found.size,
+        failed,
+    };
+}
+
+export function clearGeocodeCache() {
+    localStorage.removeItem(CACHE_STORAGE_KEY);
+}
+
+// ---- Utility functions ----
+
+function needsGeocoding(record) {
+    const missing = (value) => value === null || value === undefined || value === '' || Number(value) === 0;
+    return (missing(record.lat) || missing(record.lng)) && Boolean(String(record.adresse_postale ?? '').trim());
+}
+
+function normalizeAddress(address) {
+    return String(address)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// "48 rue pierre corneille 69006 lyon" → "48 rue pierre corneille 69006"
+function withoutCommune(key) {
+    return key.replace(/^(.*\b\d{5})\b.*$/, '$1');
+}
+
+function loadCache() {
+    try {
+        return JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+function saveCache(cache) {
+    try {
+        localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(cache));
+    } catch (error) {
+        console.warn('⚠️ [ETL] Cache de géocodage non enregistré :', error.message);
+    }
+}
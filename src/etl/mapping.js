@@ -0,0 +1,123 @@
+/**
+ * mapping.js — Column mapping between imported files and the raw schema
+ *
+ * L'étape Transform attend les noms de champs de l'API PISTE
+ * (nom_batiment, conso_elec_kwh, lat, lng...). Ce module propose une
+ * correspondance automatique pour les colonnes d'un fichier importé,
+ * applique la correspondance retenue et gère les profils enregistrés.
+ */
+
+const PROFILES_STORAGE_KEY = 'ecopilot:mapping-profiles';
+
+// Canonical raw fields expected by transform(), with known header variants
+export const CANONICAL_FIELDS = [
+    { key: 'nom_batiment', label: 'Nom du bâtiment', required: true, aliases: ['nom', 'batiment', 'name', 'libelle', 'etablissement'] },
+    { key: 'type_infra', label: 'Type d\'infrastructure', required: false, aliases: ['type', 'categorie', 'usage', 'type_batiment'] },
+    { key: 'adresse_postale', label: 'Adresse', required: false, aliases: ['adresse', 'address', 'rue', 'localisation'] },
+    { key: 'conso_elec_kwh', label: 'Électricité (kWh)', required: true, aliases: ['electricite', 'elec', 'electricity', 'conso_elec', 'kwh_elec'] },
+    { key: 'conso_gaz_kwh', label: 'Gaz (kWh)', required: false, aliases: ['gaz', 'gas', 'conso_gaz', 'kwh_gaz'] },
+    { key: 'conso_chaleur_kwh', label: 'Réseau de chaleur (kWh)', required: false, aliases: ['chaleur', 'reseau_chaleur', 'chauffage_urbain', 'conso_chaleur', 'kwh_chaleur'] },
+    { key: 'conso_eau_m3', label: 'Eau (m³)', required: false, aliases: ['eau', 'water', 'conso_eau', 'm3'] },
+    { key: 'surface_m2', label: 'Surface (m²)', required: false, aliases: ['surface', 'superficie', 'area', 'sdp', 'shon'] },
+    { key: 'annee', label: 'Année', required: false, aliases: ['year', 'annee_conso', 'millesime', 'exercice'] },
+    { key: 'lat', label: 'Latitude', required: false, requiredUnless: 'adresse_postale', aliases: ['latitude', 'y', 'coord_y'] },
+    { key: 'lng', label: 'Longitude', required: false, requiredUnless: 'adresse_postale', aliases: ['longitude', 'lon', 'long', 'x', 'coord_x'] },
+    { key: 'dpe_classe', label: 'Classe DPE', required: false, aliases: ['dpe', 'classe_dpe', 'etiquette_dpe', 'etiquette_energie'] },
+    { key: 'nb_occupants', label: 'Occupants', required: false, aliases: ['occupants', 'effectif', 'capacite', 'usagers'] },
+];
+
+/**
+ * Suggest a mapping { canonicalKey: sourceColumn } for the given columns.
+ * Exact key match first, then aliases, then partial matches; each source
+ * column is used at most once.
+ */
+export function suggestMapping(columns) {
+    const mapping = {};
+    const remaining = new Map(columns.map(col => [normalizeHeader(col), col]));
+
+    const take = (field, predicate) => {
+        if (mapping[field.key]) return;
+        for (const [normalized, original] of remaining) {
+            if (predicate(normalized)) {
+                mapping[field.key] = original;
+                remaining.delete(normalized);
+                return;
+            }
+        }
+    };
+
+    CANONICAL_FIELDS.forEach(field => take(field, n => n === field.key));
+    CANONICAL_FIELDS.forEach(field => take(field, n => field.aliases.includes(n)));
+    CANONICAL_FIELDS.forEach(field => take(field, n =>
+        [field.key, ...field.aliases].some(alias => alias.length > 2 && n.includes(alias))
+    ));
+
+    return mapping;
+}
+
+/**
+ * Returns the required canonical fields left unmapped.
+ * Coordinates are only required when no address can be geocoded instead.
+ */
+export function getMissingFields(mapping) {
+    return CANONICAL_FIELDS.filter(f =>
+        !mapping[f.key] && (f.required || (f.requiredUnless && !mapping[f.requiredUnless]))
+    );
+}
+
+/**
+ * Rename record keys to the canonical raw schema
+ */
+export function applyMapping(records, mapping) {
+    const entries = Object.entries(mapping).filter(([, source]) => source);
+    return records.map(record =>
+        Object.fromEntries(entries.map(([key, source]) => [key, record[source] ?? null]))
+    );
+}
+
+// ---- Mapping profiles ----
+
+/**
+ * Returns saved profiles: [{ name, mapping }]
+ */
+export function loadProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveProfile(name, mapping) {
+    const profiles = loadProfiles().filter(p => p.name !== name);
+    profiles.push({ name, mapping });
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    return profiles;
+}
+
+export function deleteProfile(name) {
+    const profiles = loadProfiles().filter(p => p.name !== name);
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    return profiles;
+}
+
+/**
+ * Returns the first saved profile whose source columns all exist in the file
+ */
+export function findMatchingProfile(columns) {
+    return loadProfiles().find(profile => {
+        const sources = Object.values(profile.mapping).filter(Boolean);
+        return sources.length > 0 && sources.every(source => columns.includes(source));
+    }) || null;
+}
+
+// ---- Utility functions ----
+
+function normalizeHeader(header) {
+    return String(header)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+}
@@ -1,173 +1,294 @@
 /**
  * pipeline.js — ETL Pipeline (IA Copilot)
  * 
- * Extract → Transform → Load
+ * Extract → Géocodage → Transform → Load
  * Nettoie, renomme, filtre et type les données brutes avant affichage.
  */
 
-import { RAW_API_RESPONSE } from '../data/rawData.js';
+import { createStaticAdapter, createStoredRunAdapter } from './adapters.js';
+import { loadDedupSettings } from './dedup.js';
+import { latestSnapshot, getYears } from './timeseries.js';
+import { isStrictMode } from './schema.js';
+import { loadThresholds } from './thresholds.js';
+import { loadEmissionFactors } from './emissions.js';
+import { loadTariffs } from './tariffs.js';
+import { loadDegreeDays } from './degreeDays.js';
+import { loadTaxonomy } from './taxonomy.js';
+import { createGeocoder, geocodeRecords } from './geocoding.js';
+import { runTransform } from './transformRunner.js';
+import { saveRun, getRun, getLatestRun } from './runStore.js';
+
+// Longest wait for the run store before carrying on without it
+const STORAGE_TIMEOUT_MS = 10000;
 
 // App state
 let processedData = [];
-let isProcessing = false;
+let historyData = [];
+let sourceMetadata = null;
+let qualityReport = null;
+let duplicateGroups = [];
+let currentRunId = null;
+let currentRunTimestamp = null;
+let currentRun = null;
+let checkpoint = null; // { adapter, records, metadata } kept when a run is cancelled after Extract
+let dataSource = createStaticAdapter();
 
 /**
- * Returns current processed data
+ * Returns current processed data (latest year of each building)
  */
 export function getData() {
     return processedData;
 }
 
+/**
+ * Returns every processed record, all years included
+ */
+export function getHistory() {
+    return historyData;
+}
+
+/**
+ * Returns metadata reported by the adapter of the last run
+ */
+export function getMetadata() {
+    return sourceMetadata;
+}
+
+/**
+ * Returns the data-quality report of the last run
+ */
+export function getQualityReport() {
+    return qualityReport;
+}
+
+/**
+ * Returns the duplicate groups merged during the last run
+ */
+export function getDuplicateGroups() {
+    return duplicateGroups;
+}
+
+/**
+ * Returns the id of the stored run currently displayed (see runStore.js)
+ */
+export function getCurrentRunId() {
+    return currentRunId;
+}
+
+/**
+ * Forget the displayed run once it has been deleted from the store: the data
+ * stays on screen but no longer matches a stored run
+ */
+export function clearCurrentRunId() {
+    currentRunId = null;
+    currentRunTimestamp = null;
+}
+
+/**
+ * Select the adapter used by the Extract step (see adapters.js)
+ */
+export function setDataSource(adapter) {
+    if (typeof adapter?.extract !== 'function') {
+        throw new Error('Adaptateur de source invalide : méthode extract() manquante');
+    }
+    if (adapter !== dataSource) checkpoint = null;
+    dataSource = adapter;
+}
+
+/**
+ * Returns the adapter currently used by the Extract step
+ */
+export function getDataSource() {
+    return dataSource;
+}
+
 /**
  * Returns processing state
  */
 export function isETLProcessing() {
-    return isProcessing;
+    return currentRun !== null;
 }
 
 /**
- * Run the full ETL pipeline with visual feedback
+ * Run the full ETL pipeline with visual feedback.
+ * onStepUpdate(step, state, progress) receives 'active' | 'progress' | 'done' states,
+ * progress being { processed, total }. Aborting `signal` cancels the run without
+ * touching the current data; a cancelled run resumes after Extract on the next call
+ * with the same source. A call made while a run is in flight joins that run.
  */
-export async function runETLPipeline(onStepUpdate) {
-    if (isProcessing) return processedData;
-    isProcessing = true;
+export function runETLPipeline(onStepUpdate, { signal } = {}) {
+    if (currentRun) return currentRun;
+
+    currentRun = executePipeline(onStepUpdate, signal)
+        .finally(() => {
+            currentRun = null;
+        });
+    return currentRun;
+}
+
+async function executePipeline(onStepUpdate, signal) {
+    let extracted = null;
 
     try {
-        // Step 1: EXTRACT
+        // Step 1: EXTRACT (skipped when resuming a cancelled run on the same source)
         onStepUpdate?.('extract', 'active');
-        await delay(600);
-        const rawData = extract();
+        if (checkpoint?.adapter === dataSource) {
+            console.log('⏯️ [ETL] Reprise après Extract — données brutes déjà lues');
+            extracted = checkpoint;
+        } else {
+            extracted = { adapter: dataSource, ...await extract(dataSource, signal) };
+        }
+        checkpoint = null;
+        signal?.throwIfAborted();
+        onStepUpdate?.('extract', 'progress', { processed: extracted.records.length, total: extracted.records.length });
         onStepUpdate?.('extract', 'done');
 
-        // Step 2: TRANSFORM
+        // Step 2: GEOCODE records that have an address but no coordinates
+        onStepUpdate?.('geocode', 'active');
+        const geocoded = await geocode(extracted.records, signal, (progress) => onStepUpdate?.('geocode', 'progress', progress));
+        onStepUpdate?.('geocode', 'done');
+
+        // Step 3: TRANSFORM (in a Web Worker when available, see transformRunner.js)
         onStepUpdate?.('transform', 'active');
-        await delay(800);
-        const transformedData = transform(rawData);
+        const { data: transformedData, quality, duplicates } = await runTransform(geocoded, {
+            strict: isStrictMode(),
+            dedupSettings: loadDedupSettings(),
+            thresholds: loadThresholds(),
+            emissionFactors: loadEmissionFactors(),
+            tariffs: loadTariffs(),
+            degreeDays: loadDegreeDays(),
+            taxonomy: loadTaxonomy(),
+        }, {
+            signal,
+            onProgress: (progress) => onStepUpdate?.('transform', 'progress', progress),
+        });
         onStepUpdate?.('transform', 'done');
 
-        // Step 3: LOAD
+        // Step 4: LOAD — state is only committed here, after every step succeeded
         onStepUpdate?.('load', 'active');
-        await delay(500);
-        processedData = load(transformedData);
+        signal?.throwIfAborted();
+        ({ snapshot: processedData, history: historyData } = load(transformedData));
+        sourceMetadata = extracted.metadata;
+        qualityReport = quality;
+        duplicateGroups = duplicates;
+        onStepUpdate?.('load', 'progress', { processed: transformedData.length, total: transformedData.length });
+
+        // Persist the run; a storage failure (or a storage that never answers)
+        // must not fail the pipeline
+        currentRunId = null;
+        currentRunTimestamp = null;
+        try {
+            ({ id: currentRunId, timestamp: currentRunTimestamp } = await withTimeout(saveRun({
+                history: historyData,
+                metadata: sourceMetadata,
+                quality: qualityReport,
+                duplicates: duplicateGroups,
+                extract: { records: extracted.records, metadata: extracted.metadata },
+            }), STORAGE_TIMEOUT_MS));
+        } catch (storageError) {
+            console.warn('⚠️ [ETL] Exécution non enregistrée :', storageError.message);
+        }
         onStepUpdate?.('load', 'done');
 
-        // Dispatch custom event to notify views
-        window.dispatchEvent(new CustomEvent('etl:complete', { detail: { data: processedData } }));
+        publish();
 
         return processedData;
-    } finally {
-        isProcessing = false;
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            // Keep what Extract already read so the next run can resume from Transform
+            checkpoint = extracted;
+            console.log('⏹️ [ETL] Pipeline annulé — données actuelles conservées');
+            window.dispatchEvent(new CustomEvent('etl:cancelled', { detail: { resumable: Boolean(extracted) } }));
+        } else {
+            window.dispatchEvent(new CustomEvent('etl:error', { detail: { error } }));
+        }
+        throw error;
     }
 }
 
 /**
- * EXTRACT — Read raw data from source
- */
-function extract() {
-    console.log('🔍 [ETL] Extract — Lecture des données brutes API PISTE...');
-
-    // Simulate reading from API
-    const raw = JSON.parse(JSON.stringify(RAW_API_RESPONSE.resultats));
-    console.log(`   → ${raw.length} enregistrements extraits`);
-    return raw;
-}
-
-/**
- * TRANSFORM — Clean, rename, filter, type
- */
-function transform(rawData) {
-    console.log('🔄 [ETL] Transform — Nettoyage & normalisation...');
-
-    const cleaned = rawData
-        // 1. Rename fields (French → standardized)
-        .map(record => ({
-            nom: cleanString(record.nom_batiment),
-            type: normalizeType(record.type_infra),
-            adresse: cleanString(record.adresse_postale),
-            electricite_kwh: toNumber(record.conso_elec_kwh),
-            gaz_kwh: toNumber(record.conso_gaz_kwh),
-            eau_m3: toNumber(record.conso_eau_m3),
-            surface_m2: toNumber(record.surface_m2),
-            annee: toNumber(record.annee),
-            latitude: toFloat(record.lat),
-            longitude: toFloat(record.lng),
-            classe_dpe: cleanString(record.dpe_classe),
-            occupants: toNumber(record.nb_occupants) || 0,
-        }))
-        // 2. Filter out invalid entries (need at least name, coordinates, and consumption)
-        .filter(r =>
-            r.nom &&
-            r.latitude && r.longitude &&
-            r.electricite_kwh > 0
-        )
-        // 3. Add computed fields
-        .map(record => ({
-            ...record,
-            energie_totale_kwh: record.electricite_kwh + record.gaz_kwh,
-            intensite_energetique: record.surface_m2 > 0
-                ? Math.round((record.electricite_kwh + record.gaz_kwh) / record.surface_m2 * 10) / 10
-                : 0,
-            intensite_eau: record.surface_m2 > 0
-                ? Math.round(record.eau_m3 / record.surface_m2 * 100) / 100
-                : 0,
-            niveau_conso: getConsumptionLevel(record.electricite_kwh + record.gaz_kwh, record.surface_m2),
-        }))
-        // 4. Sort by total energy consumption (descending)
-        .sort((a, b) => b.energie_totale_kwh - a.energie_totale_kwh);
-
-    console.log(`   → ${cleaned.length} enregistrements après nettoyage`);
-    return cleaned;
-}
-
-/**
- * LOAD — Store processed data
+ * Restore a stored run (the latest one when no id is given) without re-running
+ * the pipeline. The run becomes the data source, so a later run (e.g. after a
+ * settings change) re-transforms its raw extract instead of another source.
+ * Resolves with the restored data, or null when nothing is stored.
  */
-function load(transformedData) {
-    console.log('📦 [ETL] Load — Chargement des données traitées...');
-    console.log(`   → ${transformedData.length} enregistrements prêts`);
-    return transformedData;
-}
+export async function restoreRun(id = null) {
+    if (currentRun) await currentRun.catch(() => {});
 
-// ---- Utility functions ----
+    const run = await withTimeout(id === null ? getLatestRun() : getRun(id), STORAGE_TIMEOUT_MS);
+    if (!run) return null;
+
+    historyData = run.history;
+    processedData = latestSnapshot(historyData);
+    sourceMetadata = run.metadata;
+    qualityReport = run.quality;
+    duplicateGroups = run.duplicates || [];
+    currentRunId = run.id;
+    currentRunTimestamp = run.timestamp;
+    setDataSource(createStoredRunAdapter(run));
 
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    console.log(`💾 [ETL] Exécution du ${run.timestamp} restaurée (${processedData.length} bâtiments)`);
+    publish({ restored: true });
+    return processedData;
 }
 
-function cleanString(value) {
-    if (value === null || value === undefined || value === '') return '';
-    return String(value).trim();
+/**
+ * Dispatch custom event to notify views
+ */
+function publish(extra = {}) {
+    window.dispatchEvent(new CustomEvent('etl:complete', {
+        detail: {
+            data: processedData,
+            history: historyData,
+            years: getYears(historyData),
+            metadata: sourceMetadata,
+            quality: qualityReport,
+            duplicates: duplicateGroups,
+            runId: currentRunId,
+            timestamp: currentRunTimestamp,
+            ...extra,
+        },
+    }));
 }
 
-function toNumber(value) {
-    if (value === null || value === undefined || value === '') return 0;
-    const num = Number(value);
-    return isNaN(num) ? 0 : Math.round(num);
+/**
+ * EXTRACT — Read raw data from the selected source adapter
+ */
+async function extract(adapter, signal) {
+    console.log(`🔍 [ETL] Extract — Lecture des données brutes (${adapter.label})...`);
+
+    const { records, metadata } = await adapter.extract({ signal });
+    console.log(`   → ${records.length} enregistrements extraits`);
+    return { records, metadata };
 }
 
-function toFloat(value) {
-    if (value === null || value === undefined || value === '') return 0;
-    const num = parseFloat(value);
-    return isNaN(num) ? 0 : num;
+/**
+ * GEOCODE — Fill missing coordinates from addresses (cache, then configured geocoder)
+ */
+async function geocode(records, signal, onProgress) {
+    console.log('📍 [ETL] Géocodage des adresses sans coordonnées...');
+
+    const result = await geocodeRecords(records, createGeocoder(), { signal, onProgress });
+    console.log(`   → ${result.geocoded} adresse(s) géocodée(s), ${result.failed} échec(s)`);
+    return result.records;
 }
 
-function normalizeType(type) {
-    if (!type) return 'Autre';
-    const map = {
-        'ECOLE': 'École',
-        'PISCINE': 'Piscine',
-        'MAIRIE': 'Mairie',
-        'BIBLIOTHEQUE': 'Bibliothèque',
-        'GYMNASE': 'Gymnase',
-        'CRECHE': 'Crèche',
-    };
-    return map[type.toUpperCase()] || type;
+/**
+ * LOAD — Store processed data: full history plus the latest snapshot per building
+ */
+function load(transformedData) {
+    console.log('📦 [ETL] Load — Chargement des données traitées...');
+    const snapshot = latestSnapshot(transformedData);
+    console.log(`   → ${transformedData.length} enregistrements prêts (${snapshot.length} bâtiments, ${getYears(transformedData).length} année(s))`);
+    return { snapshot, history: transformedData };
 }
 
-function getConsumptionLevel(totalEnergy, surface) {
-    if (surface <= 0) return 'medium';
-    const intensity = totalEnergy / surface;
-    if (intensity < 30) return 'low';
-    if (intensity < 60) return 'medium';
-    return 'high';
+// ---- Utility functions ----
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Stockage local sans réponse')), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
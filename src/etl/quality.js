@@ -0,0 +1,94 @@
+/**
+ * quality.js — Data-quality report for the Transform step
+ *
+ * Collecte, pendant une exécution du pipeline, les lignes rejetées (et pourquoi),
+ * les valeurs converties, les erreurs de schéma par champ, les codes type_infra
+ * inconnus et les classes DPE invalides.
+ */
+
+// Rejection reasons, keyed by code
+export const REJECTION_REASONS = {
+    missing_name: 'Nom du bâtiment manquant',
+    missing_coords: 'Coordonnées manquantes',
+    zero_electricity: 'Consommation électrique nulle',
+    unparseable_number: 'Valeur numérique illisible',
+};
+
+// Kinds of coercion applied to raw values
+export const COERCION_KINDS = {
+    string_to_number: 'Texte converti en nombre',
+    ambiguous_separator: 'Séparateur ambigu (1.250 lu 1 250)',
+    unit_converted: 'Unité convertie',
+    missing_to_zero: 'Valeur manquante remplacée par 0',
+    unparseable_to_zero: 'Valeur illisible remplacée par 0',
+    missing_to_unknown: 'Valeur manquante marquée inconnue',
+    unparseable_to_unknown: 'Valeur illisible marquée inconnue',
+};
+
+/**
+ * Create a collector for one pipeline run
+ */
+export function createQualityReport(totalRows) {
+    const rejected = [];
+    const coercions = [];
+    const unknownTypes = {};
+    const invalidDpe = [];
+    const schemaErrors = [];
+
+    return {
+        /**
+         * Record a numeric coercion on a raw field
+         */
+        coerce(index, field, raw, value, kind) {
+            coercions.push({ index, field, raw, value, kind });
+        },
+
+        unknownType(code) {
+            unknownTypes[code] = (unknownTypes[code] || 0) + 1;
+        },
+
+        invalidDpe(index, nom, value) {
+            invalidDpe.push({ index, nom, value });
+        },
+
+        reject(index, nom, reasons) {
+            rejected.push({ index, nom, reasons });
+        },
+
+        /**
+         * Record a BUILDING_SCHEMA violation (see schema.js)
+         */
+        schemaError(index, nom, { field, rule, message, value }) {
+            schemaErrors.push({ index, nom, field, rule, message, value });
+        },
+
+        hasSchemaErrors() {
+            return schemaErrors.length > 0;
+        },
+
+        /**
+         * Returns the serializable report
+         */
+        summary() {
+            return {
+                totalRows,
+                acceptedRows: totalRows - rejected.length,
+                rejected,
+                rejectionCounts: countBy(rejected.flatMap(r => r.reasons)),
+                coercions,
+                coercionCounts: countBy(coercions.map(c => c.kind)),
+                unknownTypes,
+                invalidDpe,
+                schemaErrors,
+                schemaErrorCounts: countBy(schemaErrors.map(e => e.field)),
+            };
+        },
+    };
+}
+
+function countBy(values) {
+    return values.reduce((acc, value) => {
+        acc[value] = (acc[value] || 0) + 1;
+        return acc;
+    }, {});
+}
@@ -0,0 +1,173 @@
+/**
+ * runStore.js — IndexedDB persistence of completed ETL runs
+ *
+ * Chaque exécution réussie est enregistrée (données, métadonnées de la source,
+ * horodatage, rapport de qualité) afin de restaurer la dernière au démarrage
+ * et de revenir à un instantané antérieur depuis l'historique. Les résumés
+ * sont tenus dans un store séparé pour lister l'historique sans charger les
+ * données ; seules les MAX_STORED_RUNS exécutions les plus récentes sont gardées.
+ */
+
+const DB_NAME = 'ecopilot';
+const DB_VERSION = 2;
+const STORE = 'runs';
+const SUMMARY_STORE = 'summaries'; // { id, timestamp, metadata, stats }, listed without loading the data
+
+// Oldest runs are deleted beyond this count
+export const MAX_STORED_RUNS = 20;
+
+let dbPromise = null;
+
+/**
+ * Save a completed run, returns its summary { id, timestamp, metadata, stats }
+ * @param {Object} run - { history, metadata, quality, duplicates, extract }
+ * extract holds the raw { records, metadata } the run was transformed from
+ */
+export async function saveRun({ history, metadata, quality, duplicates, extract }) {
+    const buildings = new Set(history.map(r => r.batiment_id)).size;
+    const entry = {
+        timestamp: new Date().toISOString(),
+        metadata,
+        history,
+        quality,
+        duplicates,
+        extract,
+        stats: {
+            records: history.length,
+            buildings,
+            rejected: quality?.rejected.length ?? 0,
+            years: [...new Set(history.map(r => r.annee))].sort((a, b) => a - b),
+        },
+    };
+
+    const db = await openDB();
+    const id = await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE, SUMMARY_STORE], 'readwrite');
+        const req = tx.objectStore(STORE).add(entry);
+        req.onsuccess = () => {
+            tx.objectStore(SUMMARY_STORE).put(toSummary({ ...entry, id: req.result }));
+        };
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+
+    await pruneRuns();
+    return toSummary({ ...entry, id });
+}
+
+/**
+ * Returns run summaries (without data), most recent first
+ */
+export async function listRuns() {
+    const summaries = await request(SUMMARY_STORE, 'readonly', store => store.getAll());
+    return summaries.sort((a, b) => b.id - a.id);
+}
+
+export async function getRun(id) {
+    return request(STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Returns the most recent run, or null when nothing is stored
+ */
+export async function getLatestRun() {
+    const ids = await request(SUMMARY_STORE, 'readonly', store => store.getAllKeys());
+    return ids.length > 0 ? getRun(Math.max(...ids)) : null;
+}
+
+export async function deleteRun(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE, SUMMARY_STORE], 'readwrite');
+        tx.objectStore(STORE).delete(id);
+        tx.objectStore(SUMMARY_STORE).delete(id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Delete the oldest runs beyond MAX_STORED_RUNS
+ */
+async function pruneRuns() {
+    const ids = await request(SUMMARY_STORE, 'readonly', store => store.getAllKeys());
+    const expired = ids.sort((a, b) => a - b).slice(0, Math.max(0, ids.length - MAX_STORED_RUNS));
+    for (const id of expired) {
+        await deleteRun(id);
+    }
+}
+
+function toSummary({ id, timestamp, metadata, stats }) {
+    return { id, timestamp, metadata, stats };
+}
+
+// ---- IndexedDB helpers ----
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB indisponible'));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (e) => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+                    const summaries = db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+                    // Version 1 databases: build the summaries of the runs already stored
+                    if (e.oldVersion >= 1) {
+                        req.transaction.objectStore(STORE).openCursor().onsuccess = (event) => {
+                            const cursor = event.target.result;
+                            if (!cursor) return;
+                            summaries.put(toSummary(cursor.value));
+                            cursor.continue();
+                        };
+                    }
+                }
+            };
+            let blocked = false;
+            // Another tab still holds the previous version open: fail instead of waiting
+            req.onblocked = () => {
+                blocked = true;
+                reject(new Error('Base d\'historique ouverte dans un autre onglet'));
+            };
+            req.onsuccess = () => {
+                const db = req.result;
+                // Opened once the other tab let go, after we gave up: don't keep it
+                if (blocked) {
+                    db.close();
+                    return;
+                }
+                // Let a newer version opened in another tab upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            req.onerror = () => reject(req.error);
+        });
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+async function request(storeName, mode, operation) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
@@ -0,0 +1,119 @@
+/**
+ * schema.js — Declarative schema for processed building records
+ *
+ * Décrit le type, les bornes et les valeurs admises de chaque champ
+ * d'un bâtiment traité. L'étape Transform valide chaque enregistrement
+ * avant coercition ; en mode strict, l'exécution est interrompue une fois
+ * tous les enregistrements validés, avec la liste complète des erreurs.
+ */
+
+const STRICT_STORAGE_KEY = 'ecopilot:strict-mode';
+
+export const DPE_CLASSES = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+// Bounding box of the Rhône département (69), WGS84
+export const RHONE_BOUNDS = {
+    lat: [45.45, 46.31],
+    lng: [4.24, 5.16],
+};
+
+export const BUILDING_SCHEMA = {
+    nom: { label: 'Nom du bâtiment', type: 'string', required: true },
+    type: { label: 'Type', type: 'string', required: true },
+    adresse: { label: 'Adresse', type: 'string' },
+    electricite_kwh: { label: 'Électricité (kWh)', type: 'number', required: true, min: 0 },
+    gaz_kwh: { label: 'Gaz (kWh)', type: 'number', min: 0 },
+    chaleur_kwh: { label: 'Réseau de chaleur (kWh)', type: 'number', min: 0 },
+    eau_m3: { label: 'Eau (m³)', type: 'number', min: 0 },
+    surface_m2: { label: 'Surface (m²)', type: 'number', min: 0 },
+    annee: { label: 'Année', type: 'integer', min: 1990, max: new Date().getFullYear() + 1 },
+    // Not required: an address can be geocoded instead (records left without coordinates are rejected)
+    latitude: { label: 'Latitude', type: 'number', min: RHONE_BOUNDS.lat[0], max: RHONE_BOUNDS.lat[1] },
+    longitude: { label: 'Longitude', type: 'number', min: RHONE_BOUNDS.lng[0], max: RHONE_BOUNDS.lng[1] },
+    classe_dpe: { label: 'Classe DPE', type: 'string', enum: DPE_CLASSES },
+    // Unknown occupancy stays null instead of counting as zero occupants
+    occupants: { label: 'Occupants', type: 'integer', min: 0, nullable: true },
+};
+
+/**
+ * Error thrown in strict mode when at least one record breaks the schema
+ */
+export class SchemaValidationError extends Error {
+    constructor(errors) {
+        super(`${errors.length} erreur${errors.length > 1 ? 's' : ''} de validation (mode strict)`);
+        this.name = 'SchemaValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a typed record (null = missing, NaN = unparseable).
+ * Returns [{ field, rule, message, value }]
+ */
+export function validateRecord(record, schema = BUILDING_SCHEMA) {
+    const errors = [];
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = record[field];
+        const fail = (name, message) => errors.push({ field, rule: name, message: `${rule.label} : ${message}`, value });
+
+        if (value === null || value === undefined || value === '') {
+            if (rule.required) fail('required', 'valeur obligatoire manquante');
+            return;
+        }
+
+        if (rule.type === 'string' && typeof value !== 'string') {
+            fail('type', 'texte attendu');
+            return;
+        }
+        if ((rule.type === 'number' || rule.type === 'integer') && (typeof value !== 'number' || isNaN(value))) {
+            fail('type', 'nombre attendu');
+            return;
+        }
+        if (rule.type === 'integer' && !Number.isInteger(value)) {
+            fail('type', 'nombre entier attendu');
+            return;
+        }
+
+        if (rule.min !== undefined && value < rule.min) {
+            fail('range', `valeur ${value} inférieure au minimum ${rule.min}`);
+        } else if (rule.max !== undefined && value > rule.max) {
+            fail('range', `valeur ${value} supérieure au maximum ${rule.max}`);
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            fail('enum', `« ${value} » hors des valeurs admises (${rule.enum.join(', ')})`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Replace missing and unparseable values with the schema defaults (0 / ''),
+ * or null for nullable fields
+ */
+export function coerceRecord(record, schema = BUILDING_SCHEMA) {
+    return Object.fromEntries(Object.entries(record).map(([field, value]) => {
+        const rule = schema[field];
+        if (!rule) return [field, value];
+        if (rule.type === 'string') return [field, value ?? ''];
+        const missing = value === null || isNaN(value);
+        if (rule.nullable) return [field, missing ? null : value];
+        return [field, missing ? 0 : value];
+    }));
+}
+
+// ---- Strict mode ----
+
+export function isStrictMode() {
+    try {
+        return localStorage.getItem(STRICT_STORAGE_KEY) === 'true';
+    } catch {
+        return false;
+    }
+}
+
+export function setStrictMode(enabled) {
+    localStorage.setItem(STRICT_STORAGE_KEY, String(Boolean(enabled)));
+}
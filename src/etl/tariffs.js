@@ -0,0 +1,61 @@
+/**
+ * tariffs.js — Annual energy and water cost per building
+ *
+ * Modèle tarifaire simple : un prix unitaire par vecteur (€/kWh ou €/m³)
+ * et un abonnement annuel optionnel, facturé dès qu'un bâtiment consomme
+ * sur ce vecteur. Les tarifs sont paramétrables et enregistrés localement.
+ */
+
+const SETTINGS_STORAGE_KEY = 'ecopilot:tariffs';
+
+// Tariff item → consumption field, cost field and default price
+export const TARIFF_ITEMS = {
+    electricite: { label: 'Électricité', field: 'electricite_kwh', costField: 'cout_electricite_eur', unit: '€/kWh', defaultPrice: 0.25 },
+    gaz: { label: 'Gaz naturel', field: 'gaz_kwh', costField: 'cout_gaz_eur', unit: '€/kWh', defaultPrice: 0.1 },
+    chaleur: { label: 'Réseau de chaleur', field: 'chaleur_kwh', costField: 'cout_chaleur_eur', unit: '€/kWh', defaultPrice: 0.12 },
+    eau: { label: 'Eau', field: 'eau_m3', costField: 'cout_eau_eur', unit: '€/m³', defaultPrice: 4.3 },
+};
+
+const DEFAULT_TARIFFS = Object.fromEntries(
+    Object.entries(TARIFF_ITEMS).map(([item, { defaultPrice }]) => [item, { price: defaultPrice, subscription: 0 }])
+);
+
+/**
+ * Returns saved tariffs: { item: { price, subscription } }
+ */
+export function loadTariffs() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        return Object.fromEntries(
+            Object.entries(DEFAULT_TARIFFS).map(([item, tariff]) => [item, { ...tariff, ...saved?.[item] }])
+        );
+    } catch {
+        return structuredClone(DEFAULT_TARIFFS);
+    }
+}
+
+export function saveTariffs(tariffs) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(tariffs));
+}
+
+export function resetTariffs() {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+}
+
+/**
+ * Cost fields of a record (€/an): one per tariff item plus cout_total_eur
+ */
+export function computeCosts(record, tariffs = DEFAULT_TARIFFS) {
+    const costs = Object.fromEntries(
+        Object.entries(TARIFF_ITEMS).map(([item, { field, costField }]) => {
+            const { price, subscription } = tariffs[item] || DEFAULT_TARIFFS[item];
+            const quantity = record[field] || 0;
+            return [costField, quantity > 0 ? quantity * price + subscription : 0];
+        })
+    );
+
+    return {
+        ...costs,
+        cout_total_eur: Object.values(costs).reduce((sum, cost) => sum + cost, 0),
+    };
+}
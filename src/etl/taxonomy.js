@@ -0,0 +1,59 @@
+/**
+ * taxonomy.js — Building-type taxonomy
+ *
+ * Référentiel unique des types de bâtiments : code source (type_infra),
+ * libellé, icône, couleur et catégorie. Le pipeline s'en sert pour
+ * normaliser les types et signaler les codes inconnus ; le tableau, la
+ * carte et sa légende pour les badges, marqueurs et couleurs.
+ */
+
+const SETTINGS_STORAGE_KEY = 'ecopilot:taxonomy';
+
+export const DEFAULT_TAXONOMY = [
+    { code: 'ECOLE', label: 'École', icon: '🏫', color: '#60a5fa', category: 'Éducation' },
+    { code: 'CRECHE', label: 'Crèche', icon: '👶', color: '#34d399', category: 'Petite enfance' },
+    { code: 'PISCINE', label: 'Piscine', icon: '🏊', color: '#22d3ee', category: 'Sport' },
+    { code: 'GYMNASE', label: 'Gymnase', icon: '🏋️', color: '#f472b6', category: 'Sport' },
+    { code: 'STADE', label: 'Stade', icon: '🏟️', color: '#4ade80', category: 'Sport' },
+    { code: 'MAIRIE', label: 'Mairie', icon: '🏛️', color: '#a78bfa', category: 'Administration' },
+    { code: 'BIBLIOTHEQUE', label: 'Bibliothèque', icon: '📚', color: '#fbbf24', category: 'Culture' },
+    { code: 'MUSEE', label: 'Musée', icon: '🖼️', color: '#facc15', category: 'Culture' },
+    { code: 'THEATRE', label: 'Théâtre', icon: '🎭', color: '#fb923c', category: 'Culture' },
+    { code: 'OPERA', label: 'Opéra', icon: '🎼', color: '#c084fc', category: 'Culture' },
+    { code: 'PARC', label: 'Parc', icon: '🌳', color: '#a3e635', category: 'Espaces verts' },
+];
+
+// Style of types missing from the taxonomy
+export const UNKNOWN_TYPE = { code: null, label: 'Type inconnu', icon: '❔', color: '#9ca3af', category: null };
+
+/**
+ * Returns the saved taxonomy, or the default one
+ */
+export function loadTaxonomy() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        return Array.isArray(saved) && saved.length > 0 ? saved : DEFAULT_TAXONOMY.map(t => ({ ...t }));
+    } catch {
+        return DEFAULT_TAXONOMY.map(t => ({ ...t }));
+    }
+}
+
+export function saveTaxonomy(taxonomy) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(taxonomy));
+}
+
+export function resetTaxonomy() {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+}
+
+export function normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+/**
+ * Taxonomy entry of a record, looked up by code (then label for runs
+ * stored before the code was kept); UNKNOWN_TYPE when absent
+ */
+export function findType(taxonomy, { type_code: code, type }) {
+    return taxonomy.find(t => code ? t.code === code : t.label === type) || UNKNOWN_TYPE;
+}
@@ -0,0 +1,101 @@
+/**
+ * thresholds.js — Consumption level thresholds per building type
+ *
+ * Chaque indicateur est découpé en trois niveaux (faible / moyen / élevé)
+ * par deux seuils. Les seuils par défaut s'appliquent à tous les types ;
+ * un type (PISCINE, CRECHE…) peut les remplacer indicateur par indicateur.
+ * Les seuils par type sont indexés par code de la typologie, pas par
+ * libellé, pour survivre au renommage d'un type.
+ * Le pipeline calcule les niveaux avec ces seuils et les vues se contentent
+ * de les afficher, pour un classement identique partout.
+ */
+
+import { loadTaxonomy } from './taxonomy.js';
+
+const SETTINGS_STORAGE_KEY = 'ecopilot:thresholds';
+
+// Metric → level field written on each record by the pipeline
+export const THRESHOLD_METRICS = {
+    intensite_energetique: { label: 'Intensité énergie', unit: 'kWh/m²', levelField: 'niveau_conso' },
+    intensite_eau: { label: 'Intensité eau', unit: 'm³/m²', levelField: 'niveau_eau' },
+};
+
+export const LEVELS = {
+    low: { label: 'Faible', color: '#34d399' },
+    medium: { label: 'Moyen', color: '#fbbf24' },
+    high: { label: 'Élevé', color: '#ef4444' },
+};
+
+const DEFAULT_THRESHOLDS = {
+    defaults: {
+        intensite_energetique: { low: 30, high: 60 },
+        intensite_eau: { low: 0.3, high: 0.8 },
+    },
+    types: {}, // { type_code: { metric: { low, high } } }
+};
+
+/**
+ * Returns saved thresholds: { defaults, types }
+ */
+export function loadThresholds() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        return {
+            defaults: { ...DEFAULT_THRESHOLDS.defaults, ...saved?.defaults },
+            types: migrateTypeKeys({ ...saved?.types }),
+        };
+    } catch {
+        return { defaults: { ...DEFAULT_THRESHOLDS.defaults }, types: {} };
+    }
+}
+
+export function saveThresholds(thresholds) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(thresholds));
+}
+
+export function resetThresholds() {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+}
+
+/**
+ * Bands { low, high } applying to a building type code for one metric
+ */
+export function getBands(thresholds = DEFAULT_THRESHOLDS, typeCode, metric) {
+    return thresholds.types?.[typeCode]?.[metric]
+        || thresholds.defaults?.[metric]
+        || DEFAULT_THRESHOLDS.defaults[metric];
+}
+
+/**
+ * Level of a value within its bands: 'low' | 'medium' | 'high'
+ */
+export function getLevel(value, { low, high }) {
+    if (value < low) return 'low';
+    if (value < high) return 'medium';
+    return 'high';
+}
+
+/**
+ * Level fields of a record ({ niveau_conso, niveau_eau }).
+ * Without a surface the intensities are unknown and the level stays 'medium'.
+ */
+export function classifyRecord(record, thresholds = DEFAULT_THRESHOLDS) {
+    return Object.fromEntries(
+        Object.entries(THRESHOLD_METRICS).map(([metric, { levelField }]) => [
+            levelField,
+            record.surface_m2 > 0
+                ? getLevel(record[metric], getBands(thresholds, record.type_code, metric))
+                : 'medium',
+        ])
+    );
+}
+
+// Per-type thresholds were first saved under the type label: move them to its code
+function migrateTypeKeys(types) {
+    const taxonomy = loadTaxonomy();
+    return Object.fromEntries(Object.entries(types).map(([key, bands]) => {
+        if (taxonomy.some(t => t.code === key)) return [key, bands];
+        const entry = taxonomy.find(t => t.label === key);
+        return [entry ? entry.code : key, bands];
+    }));
+}
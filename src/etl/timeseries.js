@@ -0,0 +1,99 @@
+/**
+ * timeseries.js — Multi-year history per building
+ *
+ * Regroupe les enregistrements d'un même bâtiment sur plusieurs années,
+ * calcule les évolutions d'une année sur l'autre (N-1) et la tendance
+ * de consommation, puis extrait l'instantané de la dernière année connue.
+ */
+
+import { buildingKey } from './dedup.js';
+
+// Fields tracked year over year: source field → evolution field
+const EVOLUTION_FIELDS = {
+    energie_totale_kwh: 'evolution_energie_pct',
+    electricite_kwh: 'evolution_elec_pct',
+    gaz_kwh: 'evolution_gaz_pct',
+    eau_m3: 'evolution_eau_pct',
+};
+
+/**
+ * Add building id, year-over-year deltas and energy trend to every record
+ */
+export function addYearOverYear(records) {
+    const byBuilding = groupByBuilding(records);
+    const enriched = new Map();
+
+    byBuilding.forEach((history, id) => {
+        const sorted = [...history].sort((a, b) => a.annee - b.annee);
+        const trend = linearTrend(sorted.map(r => [r.annee, r.energie_totale_kwh]));
+
+        sorted.forEach(record => {
+            // Compare with the latest earlier year, never with a same-year record
+            const previous = sorted.filter(r => r.annee < record.annee).pop() || null;
+            const evolutions = Object.fromEntries(
+                Object.entries(EVOLUTION_FIELDS).map(([field, evolutionField]) => [
+                    evolutionField,
+                    previous ? percentChange(previous[field], record[field]) : null,
+                ])
+            );
+
+            enriched.set(record, {
+                ...record,
+                batiment_id: id,
+                annee_precedente: previous ? previous.annee : null,
+                ...evolutions,
+                tendance_energie_kwh_an: trend,
+            });
+        });
+    });
+
+    return records.map(record => enriched.get(record));
+}
+
+/**
+ * Keep the records of the most recent year of each building
+ */
+export function latestSnapshot(records) {
+    const latestYear = new Map();
+    records.forEach(record => {
+        const year = latestYear.get(record.batiment_id);
+        if (year === undefined || record.annee > year) {
+            latestYear.set(record.batiment_id, record.annee);
+        }
+    });
+    return records.filter(record => latestYear.get(record.batiment_id) === record.annee);
+}
+
+/**
+ * Returns the distinct years present in the records, ascending
+ */
+export function getYears(records) {
+    return [...new Set(records.map(r => r.annee).filter(Boolean))].sort((a, b) => a - b);
+}
+
+// ---- Utility functions ----
+
+function groupByBuilding(records) {
+    return records.reduce((acc, record) => {
+        const id = buildingKey(record);
+        if (!acc.has(id)) acc.set(id, []);
+        acc.get(id).push(record);
+        return acc;
+    }, new Map());
+}
+
+function percentChange(previous, current) {
+    if (!previous) return null;
+    return (current - previous) / previous * 100;
+}
+
+// Least-squares slope (units per year), null with fewer than two years
+function linearTrend(points) {
+    if (points.length < 2) return null;
+    const n = points.length;
+    const meanX = points.reduce((s, [x]) => s + x, 0) / n;
+    const meanY = points.reduce((s, [, y]) => s + y, 0) / n;
+    const num = points.reduce((s, [x, y]) => s + (x - meanX) * (y - meanY), 0);
+    const den = points.reduce((s, [x]) => s + (x - meanX) ** 2, 0);
+    return den === 0 ? null : num / den;
+}
@@ -0,0 +1,218 @@
+/**
+ * transform.js — Transform step of the ETL pipeline
+ *
+ * Nettoyage, renommage, validation, filtrage, dédoublonnage et calcul des
+ * indicateurs. Module sans accès au DOM ni au stockage local : il s'exécute
+ * indifféremment dans le thread principal ou dans transform.worker.js.
+ */
+
+import { createQualityReport } from './quality.js';
+import { deduplicate } from './dedup.js';
+import { addYearOverYear } from './timeseries.js';
+import { validateRecord, coerceRecord, SchemaValidationError } from './schema.js';
+import { parseQuantity, UNITS } from './units.js';
+import { classifyRecord } from './thresholds.js';
+import { estimateDpe } from './dpe.js';
+import { computeEmissions } from './emissions.js';
+import { computeCosts } from './tariffs.js';
+import { normalizeClimate } from './degreeDays.js';
+import { DEFAULT_TAXONOMY, normalizeCode } from './taxonomy.js';
+
+// Records normalized between two progress reports
+const TRANSFORM_CHUNK_SIZE = 250;
+
+/**
+ * TRANSFORM — Clean, rename, validate, filter, deduplicate, type
+ * Returns the cleaned records, the data-quality report and the merged duplicate groups.
+ * In strict mode, any schema error aborts the run with a SchemaValidationError.
+ * Records are normalized in chunks so progress is reported and `signal` is honoured.
+ * Settings (strict mode, dedup, thresholds, emission factors, tariffs,
+ * degree-days, taxonomy) are passed in, not read from localStorage, so this runs
+ * inside a worker.
+ */
+export async function transform(rawData, { strict = false, dedupSettings, thresholds, emissionFactors, tariffs, degreeDays, taxonomy = DEFAULT_TAXONOMY, signal, onProgress } = {}) {
+    console.log('🔄 [ETL] Transform — Nettoyage & normalisation...');
+
+    const report = createQualityReport(rawData.length);
+
+    // 1. Rename fields (French → standardized), validating and tracking coercions
+    const normalized = await mapInChunks(
+        rawData,
+        (record, index) => normalizeRecord(record, index, report, taxonomy),
+        { signal, onProgress }
+    );
+
+    if (strict && report.hasSchemaErrors()) {
+        throw new SchemaValidationError(report.summary().schemaErrors);
+    }
+
+    const valid = normalized
+        // 2. Filter out invalid entries (need at least name, coordinates, and consumption)
+        .filter(({ index, record, reasons }) => {
+            if (reasons.length === 0) return true;
+            report.reject(index, record.nom, reasons);
+            return false;
+        })
+        .map(({ record }) => record);
+
+    // 3. Merge duplicate reports of the same building
+    const { records: unique, groups } = deduplicate(valid, dedupSettings);
+
+    const computed = unique
+        // 4. Add computed fields
+        .map(record => ({
+            ...record,
+            energie_totale_kwh: record.electricite_kwh + record.gaz_kwh + record.chaleur_kwh,
+            // Full precision is kept; views round at display time
+            intensite_energetique: record.surface_m2 > 0
+                ? (record.electricite_kwh + record.gaz_kwh + record.chaleur_kwh) / record.surface_m2
+                : 0,
+            intensite_eau: record.surface_m2 > 0
+                ? record.eau_m3 / record.surface_m2
+                : 0,
+            ...perOccupant(record),
+        }))
+        // Consumption levels use the per-type thresholds
+        .map(record => ({ ...record, ...classifyRecord(record, thresholds) }))
+        // Estimated DPE class from primary energy, checked against the declared one
+        .map(record => ({ ...record, ...estimateDpe(record) }))
+        // Greenhouse-gas emissions from the configured factors
+        .map(record => ({ ...record, ...computeEmissions(record, emissionFactors) }))
+        // Annual cost from the configured tariffs
+        .map(record => ({ ...record, ...computeCosts(record, tariffs) }))
+        // Heating consumption corrected to a normal climate year (DJU)
+        .map(record => ({ ...record, ...normalizeClimate(record, degreeDays) }));
+
+    // 5. Add year-over-year deltas and trend per building
+    const cleaned = addYearOverYear(computed)
+        // 6. Sort by total energy consumption (descending)
+        .sort((a, b) => b.energie_totale_kwh - a.energie_totale_kwh);
+
+    const quality = report.summary();
+    console.log(`   → ${cleaned.length} enregistrements après nettoyage (${quality.rejected.length} rejetés, ${groups.length} doublons fusionnés)`);
+    return { data: cleaned, quality, duplicates: groups };
+}
+
+/**
+ * Map one raw record to the standardized schema, validate it against
+ * BUILDING_SCHEMA, then coerce it and list rejection reasons
+ */
+function normalizeRecord(raw, index, report, taxonomy) {
+    const unparseable = new Set();
+
+    // Typed read: null when missing, NaN when unparseable, canonical unit otherwise.
+    // Nullable fields are reported as unknown rather than replaced by 0.
+    const read = (field, dimension = null, { nullable = false } = {}) => {
+        const value = raw[field];
+        if (value === null || value === undefined || value === '') {
+            report.coerce(index, field, value, nullable ? null : 0, nullable ? 'missing_to_unknown' : 'missing_to_zero');
+            return null;
+        }
+        if (typeof value === 'number') return value;
+
+        const { value: parsed, unit, ambiguous } = parseQuantity(value, dimension);
+        if (isNaN(parsed)) {
+            unparseable.add(field);
+            report.coerce(index, field, value, nullable ? null : 0, nullable ? 'unparseable_to_unknown' : 'unparseable_to_zero');
+            return NaN;
+        }
+        const converted = unit && dimension && unit !== UNITS[dimension].canonical;
+        // Ambiguous separators come first: they are the values worth checking
+        const kind = ambiguous ? 'ambiguous_separator' : converted ? 'unit_converted' : 'string_to_number';
+        report.coerce(index, field, value, parsed, kind);
+        return parsed;
+    };
+
+    const typed = {
+        nom: cleanString(raw.nom_batiment) || null,
+        ...normalizeType(raw.type_infra, taxonomy, report),
+        adresse: cleanString(raw.adresse_postale) || null,
+        electricite_kwh: read('conso_elec_kwh', 'energy'),
+        gaz_kwh: read('conso_gaz_kwh', 'energy'),
+        // Optional column: most sources have no district heating at all
+        chaleur_kwh: raw.conso_chaleur_kwh === undefined ? null : read('conso_chaleur_kwh', 'energy'),
+        eau_m3: read('conso_eau_m3', 'volume'),
+        surface_m2: read('surface_m2', 'area'),
+        annee: read('annee'),
+        latitude: read('lat'),
+        longitude: read('lng'),
+        // DPE classes are letters: 'c' and 'C' are the same class
+        classe_dpe: cleanString(raw.dpe_classe).toUpperCase() || null,
+        // Coordinates found from the address by the geocoding step
+        geocode: Boolean(raw.geocode),
+        occupants: read('nb_occupants', null, { nullable: true }),
+    };
+
+    validateRecord(typed).forEach(error => {
+        report.schemaError(index, typed.nom, error);
+        if (error.field === 'classe_dpe' && error.rule === 'enum') {
+            report.invalidDpe(index, typed.nom, error.value);
+        }
+    });
+
+    const record = coerceRecord(typed);
+
+    const reasons = [];
+    if (!record.nom) {
+        reasons.push('missing_name');
+    }
+    if (!record.latitude || !record.longitude) {
+        reasons.push(unparseable.has('lat') || unparseable.has('lng') ? 'unparseable_number' : 'missing_coords');
+    }
+    if (!(record.electricite_kwh > 0)) {
+        reasons.push(unparseable.has('conso_elec_kwh') ? 'unparseable_number' : 'zero_electricity');
+    }
+
+    return { index, record, reasons };
+}
+
+// ---- Utility functions ----
+
+// Per-occupant indicators, null when occupancy is unknown or zero: views
+// show null as unknown, so no separate flag is needed
+function perOccupant(record) {
+    const known = record.occupants > 0;
+    const ratio = (value) => known ? value / record.occupants : null;
+    return {
+        energie_kwh_occupant: ratio(record.electricite_kwh + record.gaz_kwh + record.chaleur_kwh),
+        eau_m3_occupant: ratio(record.eau_m3),
+        surface_m2_occupant: ratio(record.surface_m2),
+    };
+}
+
+// Lets progress messages and cancellation through between chunks
+function yieldToUI() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function mapInChunks(items, fn, { signal, onProgress, chunkSize = TRANSFORM_CHUNK_SIZE } = {}) {
+    const result = [];
+    for (let start = 0; start < items.length; start += chunkSize) {
+        signal?.throwIfAborted();
+        const end = Math.min(start + chunkSize, items.length);
+        for (let i = start; i < end; i++) {
+            result.push(fn(items[i], i));
+        }
+        onProgress?.({ processed: end, total: items.length });
+        await yieldToUI();
+    }
+    signal?.throwIfAborted();
+    return result;
+}
+
+function cleanString(value) {
+    if (value === null || value === undefined || value === '') return '';
+    return String(value).trim();
+}
+
+// Unknown codes keep their raw value and are reported, never mapped to a wrong type
+function normalizeType(type, taxonomy, report) {
+    if (!type) return { type: 'Autre', type_code: null, categorie: null };
+    const code = normalizeCode(type);
+    const entry = taxonomy.find(t => t.code === code);
+    if (!entry) {
+        report?.unknownType(code);
+        return { type: code, type_code: code, categorie: null };
+    }
+    return { type: entry.label, type_code: code, categorie: entry.category || null };
+}
@@ -0,0 +1,33 @@
+/**
+ * transform.worker.js — Web Worker hosting the Transform step
+ *
+ * Protocole (voir transformRunner.js) :
+ *   ← { type: 'run', id, records, options }
+ *   → { type: 'progress', id, processed, total }
+ *   → { type: 'result', id, result }
+ *   → { type: 'error', id, error: { name, message, errors } }
+ * L'annulation se fait par terminate() côté thread principal.
+ */
+
+import { transform } from './transform.js';
+
+self.addEventListener('message', async (e) => {
+    const { type, id, records, options } = e.data;
+    if (type !== 'run') return;
+
+    try {
+        const result = await transform(records, {
+            ...options,
+            onProgress: ({ processed, total }) => {
+                self.postMessage({ type: 'progress', id, processed, total });
+            },
+        });
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            id,
+            error: { name: error.name, message: error.message, errors: error.errors },
+        });
+    }
+});
@@ -0,0 +1,89 @@
+/**
+ * transformRunner.js — Runs the Transform step off the main thread
+ *
+ * Exécute transform() dans transform.worker.js pour que Chart.js et Leaflet
+ * restent fluides sur de gros volumes. Repli sur le thread principal quand
+ * les Web Workers ne sont pas disponibles.
+ */
+
+import { transform } from './transform.js';
+import { SchemaValidationError } from './schema.js';
+
+let worker = null;
+let nextRunId = 1;
+
+/**
+ * Transform raw records, reporting progress and honouring `signal`.
+ * Resolves with { data, quality, duplicates } like transform().
+ */
+export function runTransform(records, options, { signal, onProgress } = {}) {
+    if (typeof Worker === 'undefined') {
+        return transform(records, { ...options, signal, onProgress });
+    }
+
+    signal?.throwIfAborted();
+    const id = nextRunId++;
+    const activeWorker = getWorker();
+
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            activeWorker.removeEventListener('message', onMessage);
+            activeWorker.removeEventListener('error', onError);
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        const onMessage = (e) => {
+            const message = e.data;
+            if (message.id !== id) return;
+
+            if (message.type === 'progress') {
+                onProgress?.({ processed: message.processed, total: message.total });
+            } else if (message.type === 'result') {
+                cleanup();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                cleanup();
+                reject(reviveError(message.error));
+            }
+        };
+
+        const onError = (e) => {
+            cleanup();
+            discardWorker();
+            reject(new Error(`Worker Transform : ${e.message || 'erreur inconnue'}`));
+        };
+
+        // Terminating is the only way to stop a worker mid-chunk; a fresh one is created next run
+        const onAbort = () => {
+            cleanup();
+            discardWorker();
+            reject(signal.reason);
+        };
+
+        activeWorker.addEventListener('message', onMessage);
+        activeWorker.addEventListener('error', onError);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        activeWorker.postMessage({ type: 'run', id, records, options });
+    });
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./transform.worker.js', import.meta.url), { type: 'module' });
+    }
+    return worker;
+}
+
+function discardWorker() {
+    worker?.terminate();
+    worker = null;
+}
+
+// Errors cross the worker boundary as plain objects
+function reviveError({ name, message, errors }) {
+    if (name === 'SchemaValidationError') return new SchemaValidationError(errors);
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
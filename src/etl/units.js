@@ -0,0 +1,93 @@
+/**
+ * units.js — Unit-aware numeric parsing
+ *
+ * Lit les valeurs numériques telles qu'elles arrivent des exports et tableurs
+ * français (« 12 500,5 kWh », « 1,2 MWh », « 1.250,75 m³ »), les convertit
+ * dans l'unité canonique de leur grandeur et conserve la pleine précision :
+ * l'arrondi n'intervient qu'à l'affichage.
+ */
+
+// Canonical unit and conversion factors per dimension
+export const UNITS = {
+    energy: {
+        canonical: 'kWh',
+        factors: { wh: 0.001, kwh: 1, mwh: 1000, gwh: 1000000 },
+    },
+    volume: {
+        canonical: 'm³',
+        factors: { m3: 1, 'm³': 1, l: 0.001, litres: 0.001, dm3: 0.001, 'dm³': 0.001 },
+    },
+    area: {
+        canonical: 'm²',
+        factors: { m2: 1, 'm²': 1, ha: 10000 },
+    },
+};
+
+const QUANTITY_PATTERN = /^([+-]?[\d.,]*\d(?:[eE][+-]?\d+)?)\s*([^\d\s].*)?$/;
+const NUMBER_PATTERN = /^([+-]?)([\d.,]+?)([eE][+-]?\d+)?$/;
+// Integer part with a single kind of thousands separator: 1.250.000 or 1,250
+const THOUSANDS_PATTERN = /^\d{1,3}([.,])\d{3}(?:\1\d{3})*$/;
+// A single separator followed by three digits: "1.250" and "1,250" read either way
+const AMBIGUOUS_PATTERN = /^[+-]?[1-9]\d{0,2}[.,]\d{3}$/;
+
+/**
+ * Parse a raw value into { value, unit, ambiguous } in the canonical unit of
+ * `dimension`. value is NaN when the text is not a number or carries a unit
+ * of another dimension; ambiguous flags separators read by convention
+ * (see parseLocaleNumber) so the value can be reviewed.
+ */
+export function parseQuantity(raw, dimension = null) {
+    const canonical = dimension ? UNITS[dimension].canonical : null;
+
+    if (typeof raw === 'number') return { value: raw, unit: canonical, ambiguous: false };
+
+    // Drop thousands spaces (\s also matches non-breaking and narrow non-breaking spaces)
+    const text = String(raw).trim().replace(/(\d)\s+(?=\d)/g, '$1');
+    const match = text.match(QUANTITY_PATTERN);
+    if (!match) return { value: NaN, unit: null, ambiguous: false };
+
+    const value = parseLocaleNumber(match[1]);
+    const ambiguous = AMBIGUOUS_PATTERN.test(match[1]);
+    const unit = match[2]?.trim();
+    if (!unit) return { value, unit: canonical, ambiguous };
+
+    const factor = dimension ? UNITS[dimension].factors[unit.toLowerCase()] : undefined;
+    if (factor === undefined) return { value: NaN, unit, ambiguous: false };
+
+    return { value: value * factor, unit, ambiguous };
+}
+
+/**
+ * Parse "12500,5", "12.500,5", "12,500.5" or "1e3" without losing precision.
+ * Thousands separators are only accepted in groups of three digits
+ * ("12.5.3" is NaN, not 1253). A lone separator before three digits follows
+ * the French convention: "1,250" is 1,25 and "1.250" is 1 250.
+ */
+export function parseLocaleNumber(text) {
+    const match = text.match(NUMBER_PATTERN);
+    if (!match) return NaN;
+    const [, sign, body, exponent = ''] = match;
+
+    const lastComma = body.lastIndexOf(',');
+    const lastDot = body.lastIndexOf('.');
+    let decimalSeparator = null;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Both present: the last one is the decimal separator
+        decimalSeparator = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1 && body.indexOf(',') === lastComma) {
+        // French decimal comma, unless repeated (thousands)
+        decimalSeparator = ',';
+    } else if (lastDot !== -1 && body.indexOf('.') === lastDot && !AMBIGUOUS_PATTERN.test(body)) {
+        // Decimal dot, unless it reads as a French thousands group ("1.250")
+        decimalSeparator = '.';
+    }
+
+    const cut = decimalSeparator ? body.lastIndexOf(decimalSeparator) : body.length;
+    const integer = body.slice(0, cut);
+    const decimals = body.slice(cut + 1);
+    if (!/^\d*$/.test(integer) && !THOUSANDS_PATTERN.test(integer)) return NaN;
+    if (!/^\d*$/.test(decimals)) return NaN;
+
+    return Number(`${sign}${integer.replace(/[.,]/g, '')}.${decimals}${exponent}`);
+}
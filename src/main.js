@@ -4,10 +4,16 @@
  * Initializes navigation, ETL pipeline, and all views.
  */
 
-import { runETLPipeline } from './etl/pipeline.js';
+import { runETLPipeline, setDataSource, getDataSource, restoreRun } from './etl/pipeline.js';
+import { createStaticAdapter, createHttpAdapter } from './etl/adapters.js';
 import { initVisualization } from './views/visualization.js';
+import { initDashboard } from './views/dashboard.js';
 import { initDataTable } from './views/dataTable.js';
 import { initCartography } from './views/cartography.js';
+import { initImportPanel } from './views/importPanel.js';
+import { initQualityReport } from './views/qualityReport.js';
+import { initRunHistory } from './views/runHistory.js';
+import { initSettingsPanel } from './views/settingsPanel.js';
 
 // ---- Navigation ----
 
@@ -33,48 +39,132 @@ function initNavigation() {
     });
 }
 
+// ---- Data Source ----
+
+// JSON endpoint used by the HTTP adapter (real PISTE export or local mock server)
+const HTTP_SOURCE_URL = import.meta.env.VITE_ETL_SOURCE_URL || '/api/consommations';
+
+function initSourceSelect() {
+    const select = document.getElementById('source-select');
+
+    const adapters = {
+        static: () => createStaticAdapter(),
+        http: () => createHttpAdapter(HTTP_SOURCE_URL),
+    };
+
+    select.addEventListener('change', () => {
+        const factory = adapters[select.value];
+        if (factory) setDataSource(factory());
+    });
+
+    // A restored run replaces the source until another one is picked
+    window.addEventListener('etl:complete', (e) => {
+        if (e.detail.restored) showFileSource(getDataSource());
+    });
+}
+
+/**
+ * Reflect an imported file or a restored run in the source selector
+ */
+function showFileSource(adapter) {
+    const select = document.getElementById('source-select');
+    let option = select.querySelector('option[value="file"]');
+    if (!option) {
+        option = document.createElement('option');
+        option.value = 'file';
+        select.appendChild(option);
+    }
+    option.textContent = adapter.label;
+    select.value = 'file';
+}
+
+// ---- Import Panel ----
+
+function initImport() {
+    initImportPanel({
+        onImport: (adapter) => {
+            setDataSource(adapter);
+            showFileSource(adapter);
+            runPipeline({ queue: true });
+        },
+    });
+}
+
 // ---- ETL Button ----
 
 function initETLButton() {
+    const refreshBtn = document.getElementById('refresh-btn');
+    refreshBtn.addEventListener('click', () => runPipeline());
+
+    // Views request a re-run when a pipeline setting changes
+    window.addEventListener('etl:rerun', () => runPipeline({ queue: true }));
+}
+
+// A settings change or import arriving during a run is applied right after it
+let rerunQueued = false;
+
+/**
+ * Run the pipeline; while a run is in progress the call is ignored, or
+ * queued (once) with `queue` so that new settings or sources are not lost
+ */
+async function runPipeline({ queue = false } = {}) {
     const refreshBtn = document.getElementById('refresh-btn');
     const etlStatus = document.getElementById('etl-status');
     const statusText = etlStatus.querySelector('.status-text');
 
-    refreshBtn.addEventListener('click', async () => {
-        if (refreshBtn.classList.contains('spinning')) return;
+    if (refreshBtn.classList.contains('spinning')) {
+        if (queue) rerunQueued = true;
+        return;
+    }
 
-        // Start animation
-        refreshBtn.classList.add('spinning');
-        etlStatus.className = 'etl-status processing';
-        statusText.textContent = 'Pipeline en cours...';
+    // Remember the previous status so a cancelled run can restore it
+    const previousStatus = etlStatus.className;
 
-        // Show loading overlay
-        const overlay = createLoadingOverlay();
-        document.body.appendChild(overlay);
+    // Start animation
+    refreshBtn.classList.add('spinning');
+    etlStatus.className = 'etl-status processing';
+    statusText.textContent = 'Pipeline en cours...';
 
-        try {
-            await runETLPipeline((step, state) => {
-                updateLoadingStep(overlay, step, state);
-            });
+    // Show loading overlay, with a cancel button wired to the run's AbortSignal
+    const controller = new AbortController();
+    const overlay = createLoadingOverlay();
+    overlay.querySelector('.loading-cancel').addEventListener('click', () => controller.abort());
+    document.body.appendChild(overlay);
 
-            // Success
-            etlStatus.className = 'etl-status success';
-            statusText.textContent = 'Données à jour';
-        } catch (error) {
-            console.error('ETL Error:', error);
-            etlStatus.className = 'etl-status error';
-            statusText.textContent = 'Erreur ETL';
-        } finally {
-            refreshBtn.classList.remove('spinning');
-
-            // Remove overlay with fade
-            setTimeout(() => {
-                overlay.style.opacity = '0';
-                overlay.style.transition = 'opacity 0.3s ease';
-                setTimeout(() => overlay.remove(), 300);
-            }, 400);
+    try {
+        await runETLPipeline((step, state, progress) => {
+            updateLoadingStep(overlay, step, state, progress);
+        }, { signal: controller.signal });
+
+        // Success
+        etlStatus.className = 'etl-status success';
+        statusText.textContent = 'Données à jour';
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            // The user stopped processing: don't start the queued run behind their back
+            rerunQueued = false;
+            etlStatus.className = previousStatus;
+            statusText.textContent = 'Pipeline annulé';
+            return;
         }
-    });
+        console.error('ETL Error:', error);
+        etlStatus.className = 'etl-status error';
+        statusText.textContent = error.name === 'SchemaValidationError' ? 'Validation échouée' : 'Erreur ETL';
+    } finally {
+        refreshBtn.classList.remove('spinning');
+
+        // Remove overlay with fade
+        setTimeout(() => {
+            overlay.style.opacity = '0';
+            overlay.style.transition = 'opacity 0.3s ease';
+            setTimeout(() => overlay.remove(), 300);
+        }, 400);
+
+        if (rerunQueued) {
+            rerunQueued = false;
+            runPipeline();
+        }
+    }
 }
 
 function createLoadingOverlay() {
@@ -83,38 +173,85 @@ function createLoadingOverlay() {
     overlay.innerHTML = `
     <div class="loading-spinner"></div>
     <div class="loading-text">🤖 IA Copilot — Pipeline ETL en cours</div>
+    <div class="loading-progress"><div class="loading-progress-fill"></div></div>
     <div class="loading-steps">
       <div class="loading-step" data-step="extract">
         <span class="loading-step-icon">○</span>
-        <span>Extract — Lecture des données API PISTE</span>
+        <span>Extract — Lecture des données source</span>
+        <span class="loading-step-progress"></span>
+      </div>
+      <div class="loading-step" data-step="geocode">
+        <span class="loading-step-icon">○</span>
+        <span>Géocodage — Adresses sans coordonnées</span>
+        <span class="loading-step-progress"></span>
       </div>
       <div class="loading-step" data-step="transform">
         <span class="loading-step-icon">○</span>
         <span>Transform — Nettoyage & normalisation</span>
+        <span class="loading-step-progress"></span>
       </div>
       <div class="loading-step" data-step="load">
         <span class="loading-step-icon">○</span>
         <span>Load — Chargement des données traitées</span>
+        <span class="loading-step-progress"></span>
       </div>
     </div>
+    <button class="control-btn loading-cancel">Annuler</button>
   `;
     return overlay;
 }
 
-function updateLoadingStep(overlay, step, state) {
+// Share of the overall progress bar taken by each step
+const STEP_WEIGHTS = { extract: 0.15, geocode: 0.1, transform: 0.65, load: 0.1 };
+
+function updateLoadingStep(overlay, step, state, progress) {
     const stepEl = overlay.querySelector(`[data-step="${step}"]`);
     if (!stepEl) return;
 
     const icon = stepEl.querySelector('.loading-step-icon');
+    const progressEl = stepEl.querySelector('.loading-step-progress');
 
     if (state === 'active') {
         stepEl.classList.add('active');
         stepEl.classList.remove('done');
         icon.textContent = '◉';
+        stepEl.dataset.ratio = 0;
+    } else if (state === 'progress' && progress) {
+        const ratio = progress.total > 0 ? progress.processed / progress.total : 1;
+        stepEl.dataset.ratio = ratio;
+        progressEl.textContent = `${progress.processed}/${progress.total} — ${Math.round(ratio * 100)} %`;
     } else if (state === 'done') {
         stepEl.classList.remove('active');
         stepEl.classList.add('done');
         icon.textContent = '✓';
+        stepEl.dataset.ratio = 1;
+    }
+
+    // Overall progress: weighted sum of every step's ratio
+    const overall = Object.entries(STEP_WEIGHTS).reduce((sum, [name, weight]) => {
+        const el = overlay.querySelector(`[data-step="${name}"]`);
+        return sum + weight * (Number(el.dataset.ratio) || 0);
+    }, 0);
+    overlay.querySelector('.loading-progress-fill').style.width = `${Math.round(overall * 100)}%`;
+}
+
+// ---- Stored Runs ----
+
+/**
+ * Reload the latest stored run so views are not blank after a page reload
+ */
+async function restoreLatestRun() {
+    const etlStatus = document.getElementById('etl-status');
+    const statusText = etlStatus.querySelector('.status-text');
+
+    try {
+        const data = await restoreRun();
+        if (data) {
+            etlStatus.className = 'etl-status success';
+            statusText.textContent = 'Données restaurées';
+        }
+    } catch (error) {
+        console.warn('Restauration impossible :', error.message);
     }
 }
 
@@ -122,10 +259,17 @@ function updateLoadingStep(overlay, step, state) {
 
 function init() {
     initNavigation();
+    initSourceSelect();
+    initImport();
     initETLButton();
     initVisualization();
+    initDashboard();
     initDataTable();
     initCartography();
+    initQualityReport();
+    initRunHistory();
+    initSettingsPanel();
+    restoreLatestRun();
 
     console.log('🌿 E-Copilot — Tableau de Bord Écologique initialisé');
 }
@@ -6,6 +6,9 @@
  */
 
 import L from 'leaflet';
+import { LEVELS } from '../etl/thresholds.js';
+import { loadTaxonomy, findType } from '../etl/taxonomy.js';
+import { escapeHtml } from './html.js';
 
 let mapInstance = null;
 let markersLayer = null;
@@ -14,16 +17,6 @@ let markersLayer = null;
 const LYON_CENTER = [45.7578, 4.8320];
 const LYON_ZOOM = 13;
 
-// Building type icons
-const TYPE_ICONS = {
-    'École': '🏫',
-    'Piscine': '🏊',
-    'Mairie': '🏛️',
-    'Bibliothèque': '📚',
-    'Gymnase': '🏋️',
-    'Crèche': '👶',
-};
-
 /**
  * Initialize the cartography module
  */
@@ -86,17 +79,19 @@ function addMarkers(data) {
 
     // Clear existing markers
     markersLayer.clearLayers();
+    const taxonomy = loadTaxonomy();
+    renderTypeLegend(data, taxonomy);
 
     data.forEach(building => {
         if (!building.latitude || !building.longitude) return;
 
         // Create custom marker
         const level = building.niveau_conso;
-        const icon = TYPE_ICONS[building.type] || '🏢';
+        const { icon } = findType(taxonomy, building);
 
         const customIcon = L.divIcon({
             className: 'custom-marker',
-            html: `<div class="marker-icon ${level}">${icon}</div>`,
+            html: `<div class="marker-icon ${level} ${building.geocode ? 'geocoded' : ''}">${escapeHtml(icon)}</div>`,
             iconSize: [36, 36],
             iconAnchor: [18, 18],
             popupAnchor: [0, -22],
@@ -118,14 +113,32 @@ function addMarkers(data) {
     });
 }
 
+// Types present on the map, with their taxonomy icon and colour
+function renderTypeLegend(data, taxonomy) {
+    const container = document.getElementById('map-legend-types');
+    const entries = new Map();
+    data.forEach(building => {
+        const entry = findType(taxonomy, building);
+        entries.set(entry.code ? entry.label : building.type, entry);
+    });
+
+    container.innerHTML = [...entries]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([label, entry]) => `
+      <div class="legend-item">
+        <span class="legend-icon" style="border-color:${escapeHtml(entry.color)}">${escapeHtml(entry.icon)}</span> ${escapeHtml(label)}
+      </div>`)
+        .join('');
+}
+
 function buildPopup(building) {
     const energyColor = getColor(building.niveau_conso);
-    const waterLevel = building.intensite_eau < 0.3 ? 'low' : building.intensite_eau < 0.8 ? 'medium' : 'high';
-    const waterColor = getColor(waterLevel);
+    const waterColor = getColor(building.niveau_eau);
 
     return `
-    <div class="popup-title">${building.nom}</div>
-    <div class="popup-type">${building.type} — ${building.classe_dpe ? 'DPE ' + building.classe_dpe : ''}</div>
+    <div class="popup-title">${escapeHtml(building.nom)}</div>
+    <div class="popup-type">${escapeHtml(building.type)} — ${building.classe_dpe ? 'DPE déclaré ' + escapeHtml(building.classe_dpe) : ''}</div>
+    ${building.geocode ? '<div class="popup-geocoded">📍 Géocodé à partir de l\'adresse</div>' : ''}
     <div class="popup-stats">
       <div class="popup-stat">
         <span class="popup-stat-label">⚡ Électricité</span>
@@ -135,6 +148,11 @@ function buildPopup(building) {
         <span class="popup-stat-label">🔥 Gaz</span>
         <span class="popup-stat-value" style="color:${energyColor}">${formatNum(building.gaz_kwh)} kWh</span>
       </div>
+      ${building.chaleur_kwh > 0 ? `
+      <div class="popup-stat">
+        <span class="popup-stat-label">♨️ Réseau de chaleur</span>
+        <span class="popup-stat-value" style="color:${energyColor}">${formatNum(building.chaleur_kwh)} kWh</span>
+      </div>` : ''}
       <div class="popup-stat">
         <span class="popup-stat-label">💧 Eau</span>
         <span class="popup-stat-value" style="color:${waterColor}">${formatNum(building.eau_m3)} m³</span>
@@ -145,21 +163,38 @@ function buildPopup(building) {
       </div>
       <div class="popup-stat">
         <span class="popup-stat-label">⚡ Intensité</span>
-        <span class="popup-stat-value" style="color:${energyColor}">${building.intensite_energetique} kWh/m²</span>
+        <span class="popup-stat-value" style="color:${energyColor}">${formatNum(building.intensite_energetique)} kWh/m²</span>
       </div>
+      <div class="popup-stat">
+        <span class="popup-stat-label">🌍 Émissions</span>
+        <span class="popup-stat-value">${formatNum(building.emissions_kgco2e)} kgCO₂e</span>
+      </div>
+      <div class="popup-stat">
+        <span class="popup-stat-label">🌍 Par m² · par occupant</span>
+        <span class="popup-stat-value">${formatEmissionRatio(building.emissions_kgco2e_m2)} · ${formatEmissionRatio(building.emissions_kgco2e_occupant)}</span>
+      </div>
+      ${building.classe_dpe_estimee ? `
+      <div class="popup-stat">
+        <span class="popup-stat-label">🏷️ DPE estimé</span>
+        <span class="popup-stat-value" style="color:${building.dpe_incoherent ? getColor('medium') : 'inherit'}">${building.dpe_incoherent ? '⚠ ' : ''}${escapeHtml(building.classe_dpe_estimee)} · ${formatNum(building.energie_primaire_kwh_m2)} kWhEP/m²</span>
+      </div>` : ''}
+      ${building.evolution_energie_pct !== null && building.evolution_energie_pct !== undefined ? `
+      <div class="popup-stat">
+        <span class="popup-stat-label">📈 Évol. ${building.annee_precedente} → ${building.annee}</span>
+        <span class="popup-stat-value" style="color:${getColor(building.evolution_energie_pct > 0 ? 'high' : 'low')}">${building.evolution_energie_pct > 0 ? '+' : ''}${formatNum(building.evolution_energie_pct)} %</span>
+      </div>` : ''}
     </div>
   `;
 }
 
 function getColor(level) {
-    switch (level) {
-        case 'low': return '#34d399';
-        case 'medium': return '#fbbf24';
-        case 'high': return '#ef4444';
-        default: return '#9ca3af';
-    }
+    return LEVELS[level]?.color || '#9ca3af';
+}
+
+function formatEmissionRatio(value) {
+    return value === null || value === undefined ? '—' : `${formatNum(value)} kg`;
 }
 
-function formatNum(value) {
-    return new Intl.NumberFormat('fr-FR').format(value);
+function formatNum(value, maximumFractionDigits = 1) {
+    return new Intl.NumberFormat('fr-FR', { maximumFractionDigits }).format(value);
 }
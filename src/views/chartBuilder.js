@@ -0,0 +1,508 @@
+/**
+ * chartBuilder.js — Chart definitions to Chart.js configurations
+ *
+ * Construit la configuration Chart.js d'un graphique à partir de sa
+ * définition (type, champs, libellés, couleurs, agrégation…) et des
+ * données ETL, sans dépendre du DOM : utilisé par le panneau de
+ * visualisation, les préréglages et le tableau de bord.
+ *
+ * Définition d'un graphique :
+ *   { type, xField, yField, xLabel, yLabel, xColor, yColor, year,
+ *     thresholdColors, stacked, aggregation, groupBy, sizeField, trend,
+ *     series: [{ field, color, axis }] }
+ */
+
+import { THRESHOLD_METRICS, LEVELS } from '../etl/thresholds.js';
+
+export const AXIS_OPTIONS = { y: 'Axe gauche', y1: 'Axe droit' };
+
+// Per-group reducers for categorical X axes; null values (e.g. unknown
+// occupancy) are ignored, count is the number of records in the group
+const AGGREGATIONS = {
+    sum: (values) => values.reduce((a, b) => a + b, 0),
+    avg: (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null,
+    median: (values) => median(values),
+    count: (values, rows) => rows.length,
+    min: (values) => values.length ? Math.min(...values) : null,
+    max: (values) => values.length ? Math.max(...values) : null,
+};
+
+const UNKNOWN_GROUP = 'Non renseigné';
+
+// Field definitions for select dropdowns
+export const FIELD_CONFIG = {
+    nom: { label: 'Nom du bâtiment', numeric: false },
+    type: { label: 'Type d\'infrastructure', numeric: false },
+    categorie: { label: 'Catégorie', numeric: false },
+    electricite_kwh: { label: 'Électricité (kWh)', numeric: true },
+    gaz_kwh: { label: 'Gaz (kWh)', numeric: true },
+    chaleur_kwh: { label: 'Réseau de chaleur (kWh)', numeric: true },
+    eau_m3: { label: 'Eau (m³)', numeric: true },
+    surface_m2: { label: 'Surface (m²)', numeric: true },
+    occupants: { label: 'Occupants', numeric: true },
+    energie_kwh_occupant: { label: 'Énergie par occupant (kWh/occ.)', numeric: true },
+    eau_m3_occupant: { label: 'Eau par occupant (m³/occ.)', numeric: true },
+    surface_m2_occupant: { label: 'Surface par occupant (m²/occ.)', numeric: true },
+    energie_totale_kwh: { label: 'Énergie Totale (kWh)', numeric: true },
+    intensite_energetique: { label: 'Intensité Énergie (kWh/m²)', numeric: true },
+    intensite_eau: { label: 'Intensité Eau (m³/m²)', numeric: true },
+    chauffage_kwh: { label: 'Chauffage (kWh)', numeric: true },
+    chauffage_corrige_kwh: { label: 'Chauffage corrigé DJU (kWh)', numeric: true },
+    energie_totale_corrigee_kwh: { label: 'Énergie Totale corrigée DJU (kWh)', numeric: true },
+    intensite_chauffage_corrigee: { label: 'Intensité Chauffage corrigée (kWh/m²)', numeric: true },
+    emissions_kgco2e: { label: 'Émissions (kgCO₂e)', numeric: true },
+    emissions_kgco2e_m2: { label: 'Émissions (kgCO₂e/m²)', numeric: true },
+    emissions_kgco2e_occupant: { label: 'Émissions (kgCO₂e/occupant)', numeric: true },
+    cout_total_eur: { label: 'Coût annuel (€)', numeric: true },
+    cout_electricite_eur: { label: 'Coût électricité (€)', numeric: true },
+    cout_gaz_eur: { label: 'Coût gaz (€)', numeric: true },
+    cout_chaleur_eur: { label: 'Coût réseau de chaleur (€)', numeric: true },
+    cout_eau_eur: { label: 'Coût eau (€)', numeric: true },
+    classe_dpe: { label: 'Classe DPE', numeric: false },
+    classe_dpe_estimee: { label: 'Classe DPE estimée', numeric: false },
+    energie_primaire_kwh_m2: { label: 'Énergie primaire (kWhEP/m²)', numeric: true },
+    dpe_ecart: { label: 'Écart DPE estimé − déclaré (classes)', numeric: true },
+    annee: { label: 'Année (axe temporel)', numeric: false, time: true },
+    evolution_energie_pct: { label: 'Évolution Énergie N-1 (%)', numeric: true },
+    tendance_energie_kwh_an: { label: 'Tendance Énergie (kWh/an)', numeric: true },
+};
+
+/**
+ * Chart.js configuration of a chart definition over the latest snapshot
+ * and the full history; null when its fields are missing from FIELD_CONFIG
+ */
+export function buildChart(settings, { snapshot, history }) {
+    const {
+        type,
+        xField,
+        yField,
+        xColor,
+        yColor,
+        thresholdColors: useThresholdColors,
+        stacked,
+        aggregation,
+        groupBy,
+        sizeField,
+        trend: showTrend,
+        series: extraSeries = [],
+    } = settings;
+    if (!FIELD_CONFIG[xField] || !FIELD_CONFIG[yField]) return null;
+
+    const xLabel = settings.xLabel || xField;
+    const yLabel = settings.yLabel || yField;
+
+    const isTime = Boolean(FIELD_CONFIG[xField].time);
+    const isCategorical = isCategoricalField(xField);
+
+    // Grouping only applies to categorical X axes; grouping by building
+    // only on the time axis, to follow each building across years
+    const groupField = isCategorical && groupBy !== xField && (groupBy !== 'nom' || isTime) ? groupBy : '';
+
+    const isXY = isXYChart(settings);
+
+    // The time axis spans every year; other axes show the selected year only
+    const yearData = isTime ? history : getYearData(settings.year, snapshot, history);
+    const data = isXY ? yearData.filter(d => isNumber(d[xField])) : yearData;
+
+    // The main Y field is the first series, always on the left axis. A
+    // "group by" field splits it into one series per group value instead.
+    const seriesList = groupField
+        ? groupSeries(data, groupField, yField, xColor, yColor)
+        : [
+            { field: yField, label: yLabel, color: yColor, axis: 'y' },
+            ...extraSeries
+                .filter(series => FIELD_CONFIG[series.field])
+                .map(series => ({ ...series, label: FIELD_CONFIG[series.field].label })),
+        ];
+
+    // Prepare data
+    let labels = [];
+
+    if (isCategorical) {
+        // Aggregate data by category
+        const groups = new Map();
+        data.forEach(d => {
+            const key = groupKey(d[xField]);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(d);
+        });
+
+        labels = [...groups.keys()];
+        if (isTime) labels.sort((a, b) => Number(a) - Number(b));
+        seriesList.forEach(series => {
+            series.values = labels.map(key => {
+                if (series.group === undefined) return aggregate(aggregation, groups.get(key), series.field);
+                // A group absent from a category (e.g. a building missing a year) leaves a gap
+                const rows = groups.get(key).filter(d => groupValue(d, groupField) === series.group);
+                return rows.length > 0 ? aggregate(aggregation, rows, series.field) : null;
+            });
+        });
+    } else if (isXY) {
+        // One point per building, named for the tooltip
+        const radius = bubbleRadius(data, sizeField);
+        seriesList.forEach(series => {
+            series.values = data.map(d => ({
+                x: Number(d[xField]),
+                y: d[series.field],
+                nom: d.nom,
+                ...(sizeField ? { r: radius(d[sizeField]), size: d[sizeField] } : {}),
+            }));
+        });
+    } else {
+        // Direct mapping
+        labels = data.map(d => truncateLabel(String(d[xField])));
+        seriesList.forEach(series => {
+            series.values = data.map(d => d[series.field]);
+        });
+    }
+
+    // A single series keeps the X → Y gradient (or threshold levels);
+    // several series each get their own colour
+    const levelField = THRESHOLD_METRICS[yField]?.levelField;
+    const single = seriesList.length === 1;
+    const datasets = seriesList.map(series => {
+        let colors;
+        if (single && useThresholdColors && levelField && !isCategorical) {
+            colors = levelColors(data.map(d => d[levelField]));
+        } else if (single || ['pie', 'doughnut'].includes(type)) {
+            colors = generateColors(xColor, series.color, series.values.length);
+        } else {
+            colors = solidColors(series.color, series.values.length);
+        }
+        return { ...series, colors };
+    });
+
+    const trend = isXY && showTrend
+        ? linearRegression(seriesList[0].values.filter(p => isNumber(p.y)).map(p => [p.x, Number(p.y)]))
+        : null;
+    return buildChartConfig(isXY && sizeField ? 'bubble' : type, labels, datasets, xLabel, yLabel, {
+        stacked,
+        xy: isXY,
+        trend,
+        sizeLabel: sizeField ? FIELD_CONFIG[sizeField].label : null,
+    });
+}
+
+/**
+ * Categorical X axes are aggregated per value (every field but the building name)
+ */
+export function isCategoricalField(xField) {
+    return Boolean(FIELD_CONFIG[xField]) && !FIELD_CONFIG[xField].numeric && xField !== 'nom';
+}
+
+// Scatter over a numeric X field: real XY plot, with optional bubble size and trend
+export function isXYChart({ type, xField }) {
+    return type === 'scatter' && Boolean(FIELD_CONFIG[xField]?.numeric);
+}
+
+/**
+ * Records displayed for a year (latest snapshot by default)
+ */
+function getYearData(year = 'latest', snapshot, history) {
+    if (year === 'latest') return snapshot;
+    return history.filter(d => String(d.annee) === String(year));
+}
+
+/**
+ * series: [{ label, values, colors, axis }]; options: { stacked, xy, trend, sizeLabel }
+ * With xy, values are { x, y, nom, r?, size? } points over a linear X axis.
+ */
+function buildChartConfig(type, labels, series, xLabel, yLabel, { stacked = false, xy = false, trend = null, sizeLabel = null } = {}) {
+    const isAxisChart = ['bar', 'line', 'scatter', 'bubble'].includes(type);
+    const canStack = stacked && ['bar', 'line'].includes(type);
+    const rightSeries = isAxisChart ? series.filter(s => s.axis === 'y1') : [];
+
+    const datasets = series.map(({ label, values, colors, axis }, i) => ({
+        label,
+        data: type === 'scatter' && !xy
+            ? values.map((v, j) => ({ x: j, y: v }))
+            : values,
+        backgroundColor: type === 'line'
+            ? colors.bg[0]
+            : colors.bg,
+        borderColor: type === 'line'
+            ? colors.border[0]
+            : colors.border,
+        borderWidth: type === 'line' ? 3 : 1,
+        tension: 0.4,
+        // Stacked lines fill down to the previous series
+        fill: type === 'line' && (canStack && i > 0 ? '-1' : series.length === 1 || canStack ? 'origin' : false),
+        pointBackgroundColor: colors.border,
+        // Bubble radii come from the points themselves
+        ...(type === 'bubble' ? {} : {
+            pointRadius: type === 'line' ? 4 : type === 'scatter' ? 6 : 0,
+            pointHoverRadius: type === 'scatter' ? 8 : 6,
+        }),
+        borderRadius: type === 'bar' ? 6 : 0,
+        ...(isAxisChart ? { yAxisID: axis } : {}),
+    }));
+
+    if (trend) {
+        datasets.push({
+            type: 'line',
+            label: `Tendance (R² = ${formatValue(trend.r2)})`,
+            data: trend.points,
+            borderColor: '#f9fafb',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            fill: false,
+            yAxisID: 'y',
+        });
+    }
+
+    return {
+        type,
+        data: {
+            labels,
+            datasets,
+        },
+        options: {
+            // French number formatting for ticks; tooltips round full-precision values
+            locale: 'fr-FR',
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: {
+                duration: 600,
+                easing: 'easeOutQuart',
+            },
+            plugins: {
+                legend: {
+                    display: !isAxisChart || datasets.length > 1,
+                    position: 'bottom',
+                    labels: {
+                        color: '#9ca3af',
+                        font: { family: 'Inter', size: 12 },
+                        padding: 16,
+                    },
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(17, 24, 39, 0.95)',
+                    titleColor: '#f9fafb',
+                    bodyColor: '#9ca3af',
+                    borderColor: 'rgba(55, 65, 81, 0.5)',
+                    borderWidth: 1,
+                    cornerRadius: 8,
+                    padding: 12,
+                    titleFont: { family: 'Inter', weight: '600' },
+                    bodyFont: { family: 'Inter' },
+                    callbacks: {
+                        // XY points are named after their building
+                        title: (items) => items[0]?.raw?.nom ?? items[0]?.label,
+                        label: (ctx) => {
+                            if (ctx.raw?.nom !== undefined) {
+                                const lines = [
+                                    `${ctx.dataset.label}: ${formatValue(ctx.parsed.y)}`,
+                                    `${xLabel}: ${formatValue(ctx.parsed.x)}`,
+                                ];
+                                if (sizeLabel) lines.push(`${sizeLabel}: ${formatValue(ctx.raw.size)}`);
+                                return lines;
+                            }
+                            const value = ctx.parsed.y ?? ctx.parsed.r ?? ctx.parsed;
+                            return `${ctx.dataset.label}: ${formatValue(value)}`;
+                        },
+                    },
+                },
+            },
+            ...(isAxisChart ? {
+                scales: {
+                    x: {
+                        ...(xy ? { type: 'linear' } : {}),
+                        title: {
+                            display: true,
+                            text: xLabel,
+                            color: '#9ca3af',
+                            font: { family: 'Inter', size: 12, weight: '500' },
+                        },
+                        ticks: {
+                            color: '#6b7280',
+                            font: { family: 'Inter', size: 11 },
+                            maxRotation: 45,
+                            minRotation: 0,
+                        },
+                        grid: { color: 'rgba(55, 65, 81, 0.3)' },
+                        stacked: canStack,
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: yLabel,
+                            color: '#9ca3af',
+                            font: { family: 'Inter', size: 12, weight: '500' },
+                        },
+                        ticks: {
+                            color: '#6b7280',
+                            font: { family: 'Inter', size: 11 },
+                        },
+                        grid: { color: 'rgba(55, 65, 81, 0.3)' },
+                        beginAtZero: true,
+                        stacked: canStack,
+                    },
+                    ...(rightSeries.length > 0 ? {
+                        y1: {
+                            position: 'right',
+                            title: {
+                                display: true,
+                                text: rightSeries.map(s => s.label).join(' / '),
+                                color: '#9ca3af',
+                                font: { family: 'Inter', size: 12, weight: '500' },
+                            },
+                            ticks: {
+                                color: '#6b7280',
+                                font: { family: 'Inter', size: 11 },
+                            },
+                            // Keep the grid of the left axis only
+                            grid: { drawOnChartArea: false },
+                            beginAtZero: true,
+                            stacked: canStack,
+                        },
+                    } : {}),
+                },
+            } : {}),
+        },
+    };
+}
+
+function generateColors(color1, color2, count) {
+    const bg = [];
+    const border = [];
+
+    for (let i = 0; i < count; i++) {
+        const ratio = count > 1 ? i / (count - 1) : 0;
+        const c = interpolateColor(color1, color2, ratio);
+        bg.push(c + '99'); // 60% opacity
+        border.push(c);
+    }
+
+    return { bg, border };
+}
+
+/**
+ * One series of the Y field per value of the "group by" field, coloured
+ * along the X → Y gradient. Buildings are grouped by id, so homonyms and
+ * separated duplicates stay distinct.
+ */
+function groupSeries(data, groupField, yField, xColor, yColor) {
+    const labels = new Map();
+    data.forEach(d => {
+        const key = groupValue(d, groupField);
+        if (labels.has(key)) return;
+        labels.set(key, groupField === 'nom'
+            ? `${groupKey(d.nom)}${d.rang_doublon ? ` (${d.rang_doublon})` : ''}`
+            : `${FIELD_CONFIG[groupField].label} : ${key}`);
+    });
+    const keys = [...labels.keys()]
+        .sort((a, b) => labels.get(a).localeCompare(labels.get(b), 'fr', { numeric: true }));
+    const palette = generateColors(xColor, yColor, keys.length).border;
+
+    return keys.map((key, i) => ({
+        field: yField,
+        group: key,
+        label: labels.get(key),
+        color: palette[i],
+        axis: 'y',
+    }));
+}
+
+function groupValue(record, groupField) {
+    return groupField === 'nom' ? record.batiment_id : groupKey(record[groupField]);
+}
+
+// Bubble radius from 4 to 20 px, area proportional to the size field
+function bubbleRadius(data, sizeField) {
+    if (!sizeField) return () => undefined;
+    const max = Math.max(0, ...data.map(d => Number(d[sizeField])).filter(Number.isFinite));
+    return (value) => isNumber(value) && max > 0
+        ? 4 + 16 * Math.sqrt(Math.max(0, Number(value)) / max)
+        : 4;
+}
+
+/**
+ * Least-squares line y = slope·x + intercept over [x, y] points, with R²
+ * and the two end points to draw; null with fewer than two distinct x
+ */
+function linearRegression(points) {
+    if (points.length < 2) return null;
+    const n = points.length;
+    const meanX = points.reduce((s, [x]) => s + x, 0) / n;
+    const meanY = points.reduce((s, [, y]) => s + y, 0) / n;
+    const sxy = points.reduce((s, [x, y]) => s + (x - meanX) * (y - meanY), 0);
+    const sxx = points.reduce((s, [x]) => s + (x - meanX) ** 2, 0);
+    const syy = points.reduce((s, [, y]) => s + (y - meanY) ** 2, 0);
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const xs = points.map(([x]) => x);
+    const line = (x) => ({ x, y: slope * x + intercept });
+
+    return {
+        slope,
+        intercept,
+        r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+        points: [line(Math.min(...xs)), line(Math.max(...xs))],
+    };
+}
+
+function isNumber(value) {
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+}
+
+function groupKey(value) {
+    return value === null || value === undefined || value === '' ? UNKNOWN_GROUP : String(value);
+}
+
+function aggregate(aggregation, rows, field) {
+    const values = rows
+        .map(d => d[field])
+        .filter(isNumber)
+        .map(Number);
+    return (AGGREGATIONS[aggregation] || AGGREGATIONS.sum)(values, rows);
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function solidColors(color, count) {
+    return {
+        bg: Array(count).fill(color + '99'),
+        border: Array(count).fill(color),
+    };
+}
+
+function levelColors(levels) {
+    const palette = levels.map(level => LEVELS[level]?.color || LEVELS.medium.color);
+    return {
+        bg: palette.map(c => c + '99'),
+        border: palette,
+    };
+}
+
+function interpolateColor(hex1, hex2, ratio) {
+    const r1 = parseInt(hex1.slice(1, 3), 16);
+    const g1 = parseInt(hex1.slice(3, 5), 16);
+    const b1 = parseInt(hex1.slice(5, 7), 16);
+    const r2 = parseInt(hex2.slice(1, 3), 16);
+    const g2 = parseInt(hex2.slice(3, 5), 16);
+    const b2 = parseInt(hex2.slice(5, 7), 16);
+
+    const r = Math.round(r1 + (r2 - r1) * ratio);
+    const g = Math.round(g1 + (g2 - g1) * ratio);
+    const b = Math.round(b1 + (b2 - b1) * ratio);
+
+    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+}
+
+function formatValue(value) {
+    if (typeof value !== 'number') return value;
+    return new Intl.NumberFormat('fr-FR', { maximumFractionDigits: 2 }).format(value);
+}
+
+function truncateLabel(label, maxLen = 20) {
+    return label.length > maxLen ? label.slice(0, maxLen) + '…' : label;
+}
@@ -0,0 +1,359 @@
+/**
+ * chartExport.js — Chart export (PNG, SVG, PDF)
+ *
+ * Exporte le graphique courant pour les rapports : PNG haute résolution,
+ * SVG vectoriel reconstruit à partir des éléments Chart.js, et page PDF
+ * avec titre, axes, source des données et date de l'exécution ETL.
+ */
+
+// Dark background of the app, painted behind exported charts
+const BACKGROUND = '#111827';
+const PNG_PIXEL_RATIO = 3;
+
+/**
+ * Download the chart as a PNG rendered at PNG_PIXEL_RATIO
+ */
+export function exportChartPng(chart, title) {
+    downloadUrl(renderPng(chart), fileName(title, 'png'));
+}
+
+/**
+ * Download the chart as a standalone SVG file
+ */
+export function exportChartSvg(chart, title) {
+    const blob = new Blob([chartToSvg(chart)], { type: 'image/svg+xml;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    downloadUrl(url, fileName(title, 'svg'));
+    // Revoking synchronously can cancel the download before the browser reads the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download a one-page A4 landscape report
+ * @param {Object} report - { title, xLabel, yLabel, details, metadata, runTimestamp }
+ * runTimestamp is the date of the ETL run (see runStore.js); without it the
+ * extraction date of the source is printed instead
+ */
+export async function exportChartPdf(chart, { title, xLabel, yLabel, details = [], metadata = {}, runTimestamp = null }) {
+    const { jsPDF } = await import('jspdf');
+    const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 14;
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(16);
+    pdf.text(pdfText(title), margin, margin + 4);
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.setTextColor(90);
+    pdf.text(pdfText(`Axe X : ${xLabel} — Axe Y : ${yLabel}`), margin, margin + 11);
+    if (details.length > 0) pdf.text(pdfText(details.join(' · ')), margin, margin + 16);
+
+    // Chart image, scaled to the free area while keeping its ratio
+    const top = margin + 21;
+    const maxWidth = pageWidth - 2 * margin;
+    const maxHeight = pageHeight - top - margin - 14;
+    const ratio = Math.min(maxWidth / chart.width, maxHeight / chart.height);
+    const width = chart.width * ratio;
+    const height = chart.height * ratio;
+    pdf.addImage(renderPng(chart), 'PNG', margin + (maxWidth - width) / 2, top, width, height);
+
+    const source = [
+        `Source : ${metadata.source || 'inconnue'}`,
+        metadata.region ? `Région : ${metadata.region}` : null,
+        metadata.departement ? `Département : ${metadata.departement}` : null,
+        runTimestamp
+            ? `Exécution ETL du ${formatDate(runTimestamp)}`
+            : `Extraction du ${formatDate(metadata.date_extraction || new Date().toISOString())}`,
+    ].filter(Boolean).join(' · ');
+
+    pdf.setFontSize(9);
+    pdf.text(pdfText(source), margin, pageHeight - margin - 4);
+    pdf.text(pdfText(`Document généré le ${formatDate(new Date().toISOString())} — E-Copilot`), margin, pageHeight - margin + 1);
+
+    pdf.save(fileName(title, 'pdf'));
+}
+
+/**
+ * Serialize the rendered chart as SVG: axes, grid, datasets and legend are
+ * rebuilt from the laid-out Chart.js elements so they stay vector
+ */
+export function chartToSvg(chart) {
+    const { width, height } = chart;
+    const parts = [`<rect width="${width}" height="${height}" fill="${BACKGROUND}" />`];
+
+    Object.values(chart.scales).forEach(scale => {
+        if (scale.axis === 'r') parts.push(...radialScaleSvg(scale, chart.data.labels || []));
+        else if (scale.options.display !== false) parts.push(...cartesianScaleSvg(scale, chart.chartArea));
+    });
+
+    chart.data.datasets.forEach((dataset, i) => {
+        if (!chart.isDatasetVisible(i)) return;
+        parts.push(...datasetSvg(chart, i));
+    });
+
+    parts.push(...legendSvg(chart));
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, sans-serif">`,
+        ...parts,
+        '</svg>',
+    ].join('\n');
+}
+
+// ---- SVG builders ----
+
+function cartesianScaleSvg(scale, area) {
+    const parts = [];
+    const horizontal = scale.isHorizontal();
+    const gridColor = colorOf(scale.options.grid?.color, 'rgba(55, 65, 81, 0.3)');
+    const drawGrid = scale.options.grid?.drawOnChartArea !== false;
+    const tickColor = colorOf(scale.options.ticks?.color, '#6b7280');
+
+    scale.getTicks().forEach((tick, i) => {
+        const pos = scale.getPixelForTick(i);
+        const label = Array.isArray(tick.label) ? tick.label.join(' ') : tick.label;
+
+        if (horizontal) {
+            if (drawGrid) parts.push(line(pos, area.top, pos, area.bottom, gridColor));
+            parts.push(text(label, pos, scale.top + 14, tickColor, 11, 'middle'));
+        } else {
+            if (drawGrid) parts.push(line(area.left, pos, area.right, pos, gridColor));
+            const left = scale.position === 'left';
+            parts.push(text(label, left ? scale.right - 8 : scale.left + 8, pos + 4, tickColor, 11, left ? 'end' : 'start'));
+        }
+    });
+
+    const title = scale.options.title;
+    if (title?.display && title.text) {
+        const color = colorOf(title.color, '#9ca3af');
+        if (horizontal) {
+            parts.push(text(title.text, (area.left + area.right) / 2, scale.bottom - 4, color, 12, 'middle'));
+        } else {
+            const x = scale.position === 'left' ? scale.left + 12 : scale.right - 4;
+            const y = (area.top + area.bottom) / 2;
+            parts.push(`<text x="${x}" y="${y}" fill="${color}" font-size="12" text-anchor="middle" transform="rotate(-90 ${x} ${y})">${escapeXml(title.text)}</text>`);
+        }
+    }
+
+    return parts;
+}
+
+function radialScaleSvg(scale, labels) {
+    const parts = [];
+    const gridColor = colorOf(scale.options.grid?.color, 'rgba(55, 65, 81, 0.6)');
+    const count = labels.length;
+
+    scale.ticks.forEach(tick => {
+        const distance = scale.getDistanceFromCenterForValue(tick.value);
+        const points = labels.map((_, i) => scale.getPointPosition(i, distance));
+        if (points.length > 0) parts.push(`<polygon points="${points.map(p => `${p.x},${p.y}`).join(' ')}" fill="none" stroke="${gridColor}" />`);
+    });
+
+    for (let i = 0; i < count; i++) {
+        const edge = scale.getPointPosition(i, scale.drawingArea);
+        const label = scale.getPointPosition(i, scale.drawingArea + 14);
+        parts.push(line(scale.xCenter, scale.yCenter, edge.x, edge.y, gridColor));
+        parts.push(text(String(labels[i]), label.x, label.y, '#9ca3af', 11, 'middle'));
+    }
+
+    return parts;
+}
+
+function datasetSvg(chart, index) {
+    const meta = chart.getDatasetMeta(index);
+    const parts = [];
+
+    // Line and radar datasets: area fill, then the path itself
+    if (meta.dataset && meta.dataset.points?.length) {
+        const options = meta.dataset.options;
+        const points = meta.dataset.points.filter(p => !p.skip);
+        const path = linePath(points);
+        const closed = meta.type === 'radar';
+
+        const fill = fillPath(chart, meta, points, path, closed);
+        if (fill) parts.push(`<path d="${fill}" fill="${colorOf(options.backgroundColor)}" stroke="none" />`);
+
+        const dash = options.borderDash?.length ? ` stroke-dasharray="${options.borderDash.join(' ')}"` : '';
+        parts.push(`<path d="${path}${closed ? ' Z' : ''}" fill="none" stroke="${colorOf(options.borderColor)}" stroke-width="${options.borderWidth}"${dash} />`);
+    }
+
+    meta.data.forEach(element => {
+        if (element.skip) return;
+        const options = element.options;
+        const fill = colorOf(options.backgroundColor);
+        const stroke = colorOf(options.borderColor);
+        const strokeWidth = typeof options.borderWidth === 'number' ? options.borderWidth : 1;
+
+        switch (element.constructor.id) {
+            case 'bar': {
+                const top = Math.min(element.y, element.base);
+                const barHeight = Math.abs(element.base - element.y);
+                parts.push(`<rect x="${element.x - element.width / 2}" y="${top}" width="${element.width}" height="${barHeight}" rx="${Math.min(6, element.width / 4)}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" />`);
+                break;
+            }
+            case 'arc':
+                parts.push(`<path d="${arcPath(element)}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" />`);
+                break;
+            case 'point':
+                if (options.radius > 0) {
+                    parts.push(`<circle cx="${element.x}" cy="${element.y}" r="${options.radius}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" />`);
+                }
+                break;
+            default:
+                break;
+        }
+    });
+
+    return parts;
+}
+
+function legendSvg(chart) {
+    const legend = chart.legend;
+    if (!legend?.options.display || !legend.legendItems?.length) return [];
+
+    const color = colorOf(legend.options.labels?.color, '#9ca3af');
+    return legend.legendItems.flatMap((item, i) => {
+        const box = legend.legendHitBoxes?.[i];
+        if (!box || item.hidden) return [];
+        const swatch = colorOf(item.fillStyle || item.strokeStyle);
+        return [
+            `<rect x="${box.left}" y="${box.top + 1}" width="12" height="12" rx="2" fill="${swatch}" />`,
+            text(item.text, box.left + 18, box.top + 11, color, 12, 'start'),
+        ];
+    });
+}
+
+// ---- Geometry helpers ----
+
+// Straight or Bézier segments, following the control points Chart.js computed
+function linePath(points) {
+    return points.map((p, i) => {
+        if (i === 0) return `M ${p.x} ${p.y}`;
+        const prev = points[i - 1];
+        return prev.cp2x !== undefined && p.cp1x !== undefined
+            ? `C ${prev.cp2x} ${prev.cp2y} ${p.cp1x} ${p.cp1y} ${p.x} ${p.y}`
+            : `L ${p.x} ${p.y}`;
+    }).join(' ');
+}
+
+// Area under a line: down to zero ('origin') or to the previous dataset ('-1')
+function fillPath(chart, meta, points, path, closed) {
+    const fill = meta.dataset.options.fill;
+    if (!fill || points.length === 0) return null;
+    if (closed) return `${path} Z`;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    if (fill === '-1' && meta.index > 0) {
+        const previous = chart.getDatasetMeta(meta.index - 1).dataset?.points?.filter(p => !p.skip) || [];
+        const back = [...previous].reverse().map(p => `L ${p.x} ${p.y}`).join(' ');
+        return `${path} ${back} Z`;
+    }
+
+    const yScale = chart.scales[meta.yAxisID];
+    const zero = yScale ? yScale.getPixelForValue(0) : chart.chartArea.bottom;
+    return `${path} L ${last.x} ${zero} L ${first.x} ${zero} Z`;
+}
+
+function arcPath({ x, y, startAngle, endAngle, innerRadius, outerRadius }) {
+    const point = (radius, angle) => `${x + radius * Math.cos(angle)} ${y + radius * Math.sin(angle)}`;
+    const large = endAngle - startAngle > Math.PI ? 1 : 0;
+    return [
+        `M ${point(outerRadius, startAngle)}`,
+        `A ${outerRadius} ${outerRadius} 0 ${large} 1 ${point(outerRadius, endAngle)}`,
+        innerRadius > 0
+            ? `L ${point(innerRadius, endAngle)} A ${innerRadius} ${innerRadius} 0 ${large} 0 ${point(innerRadius, startAngle)}`
+            : `L ${x} ${y}`,
+        'Z',
+    ].join(' ');
+}
+
+function line(x1, y1, x2, y2, color) {
+    return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-width="1" />`;
+}
+
+function text(content, x, y, color, size, anchor) {
+    return `<text x="${x}" y="${y}" fill="${color}" font-size="${size}" text-anchor="${anchor}">${escapeXml(content)}</text>`;
+}
+
+// ---- Utility functions ----
+
+/**
+ * Chart redrawn at PNG_PIXEL_RATIO over the app background, as a data URL
+ */
+function renderPng(chart) {
+    const previousRatio = chart.options.devicePixelRatio;
+    // A running animation would defer the redraw: stop it and draw synchronously
+    chart.stop();
+    chart.options.devicePixelRatio = PNG_PIXEL_RATIO;
+    chart.resize();
+    chart.update('none');
+    chart.draw();
+
+    const source = chart.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+
+    const url = canvas.toDataURL('image/png');
+
+    chart.options.devicePixelRatio = previousRatio;
+    chart.resize();
+    chart.update('none');
+    chart.draw();
+
+    return url;
+}
+
+function downloadUrl(url, name) {
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', name);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+function fileName(title, extension) {
+    const slug = String(title || 'Graphique')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '')
+        .slice(0, 60);
+    const date = new Date().toISOString().split('T')[0];
+    return `E-Copilot_${slug}_${date}.${extension}`;
+}
+
+// Standard PDF fonts only cover WinAnsi: replace the few symbols our labels use
+function pdfText(value) {
+    return String(value)
+        .replace(/₂/g, '2')
+        .replace(/−/g, '-')
+        .replace(/≤/g, '<=');
+}
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleString('fr-FR', { dateStyle: 'long', timeStyle: 'short' });
+}
+
+function colorOf(value, fallback = '#9ca3af') {
+    return typeof value === 'string' ? value : fallback;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
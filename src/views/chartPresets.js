@@ -0,0 +1,88 @@
+/**
+ * chartPresets.js — Saved chart presets and dashboard layout
+ *
+ * Préréglages nommés de graphiques (définition complète, voir
+ * chartBuilder.js) et tuiles du tableau de bord qui les épinglent,
+ * dans l'ordre d'affichage et avec leur taille.
+ */
+
+const PRESETS_STORAGE_KEY = 'ecopilot:chart-presets';
+const DASHBOARD_STORAGE_KEY = 'ecopilot:dashboard';
+
+// Tile sizes, in dashboard grid cells (columns × rows)
+export const TILE_SIZES = {
+    normal: { label: 'Normale', columns: 1, rows: 1 },
+    wide: { label: 'Large', columns: 2, rows: 1 },
+    large: { label: 'Grande', columns: 2, rows: 2 },
+};
+
+// ---- Presets ----
+
+/**
+ * Returns saved presets: [{ id, name, settings }]
+ */
+export function loadPresets() {
+    return readList(PRESETS_STORAGE_KEY);
+}
+
+export function getPreset(id) {
+    return loadPresets().find(preset => preset.id === id) || null;
+}
+
+/**
+ * Save a chart definition under a name; an existing preset with the same
+ * name is overwritten. Returns the saved preset.
+ */
+export function savePreset(name, settings) {
+    const presets = loadPresets();
+    const existing = presets.find(preset => preset.name === name);
+    const preset = { id: existing?.id || `preset-${Date.now()}`, name, settings };
+
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(
+        existing ? presets.map(p => (p.id === preset.id ? preset : p)) : [...presets, preset]
+    ));
+    return preset;
+}
+
+/**
+ * Delete a preset and unpin it from the dashboard
+ */
+export function deletePreset(id) {
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(loadPresets().filter(p => p.id !== id)));
+    saveDashboard(loadDashboard().filter(tile => tile.presetId !== id));
+}
+
+// ---- Dashboard ----
+
+/**
+ * Returns pinned tiles in display order: [{ presetId, size }]
+ */
+export function loadDashboard() {
+    const presetIds = new Set(loadPresets().map(preset => preset.id));
+    return readList(DASHBOARD_STORAGE_KEY).filter(tile => presetIds.has(tile.presetId));
+}
+
+export function saveDashboard(tiles) {
+    localStorage.setItem(DASHBOARD_STORAGE_KEY, JSON.stringify(tiles));
+}
+
+/**
+ * Pin a preset at the end of the dashboard; false when already pinned
+ */
+export function pinPreset(id) {
+    const tiles = loadDashboard();
+    if (tiles.some(tile => tile.presetId === id)) return false;
+    saveDashboard([...tiles, { presetId: id, size: 'normal' }]);
+    return true;
+}
+
+// ---- Utility functions ----
+
+function readList(key) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
+    }
+}
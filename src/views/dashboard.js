@@ -0,0 +1,141 @@
+/**
+ * dashboard.js — Dashboard of pinned charts
+ *
+ * Grille des préréglages épinglés depuis la vue Visualisation. Chaque
+ * tuile est reconstruite à chaque exécution ETL ; elle peut être déplacée,
+ * redimensionnée ou retirée du tableau de bord.
+ */
+
+import { Chart, registerables } from 'chart.js';
+import { buildChart } from './chartBuilder.js';
+import { getPreset, loadDashboard, saveDashboard, TILE_SIZES } from './chartPresets.js';
+import { escapeHtml } from './html.js';
+Chart.register(...registerables);
+
+let charts = [];
+let snapshotData = [];
+let historyData = [];
+let stale = true; // tiles must be rebuilt the next time the view is shown
+
+/**
+ * Initialize the dashboard module
+ */
+export function initDashboard() {
+    window.addEventListener('etl:complete', (e) => {
+        snapshotData = e.detail.data;
+        historyData = e.detail.history || e.detail.data;
+        refresh();
+    });
+
+    // Presets saved, pinned or deleted from the visualization panel
+    window.addEventListener('dashboard:update', () => refresh());
+
+    const grid = document.getElementById('dashboard-grid');
+    grid.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        updateTile(Number(button.closest('.dashboard-tile').dataset.index), button.dataset.action);
+    });
+
+    // Charts are sized on render: build them once the view is visible
+    const view = document.getElementById('view-dashboard');
+    const observer = new MutationObserver(() => {
+        if (view.classList.contains('active') && stale) render();
+    });
+    observer.observe(view, { attributes: true, attributeFilter: ['class'] });
+}
+
+function refresh() {
+    stale = true;
+    if (document.getElementById('view-dashboard').classList.contains('active')) render();
+}
+
+/**
+ * Move, resize or unpin the tile at the given position
+ */
+function updateTile(index, action) {
+    const tiles = loadDashboard();
+    const tile = tiles[index];
+    if (!tile) return;
+
+    const sizes = Object.keys(TILE_SIZES);
+    switch (action) {
+        case 'left':
+            if (index > 0) [tiles[index - 1], tiles[index]] = [tiles[index], tiles[index - 1]];
+            break;
+        case 'right':
+            if (index < tiles.length - 1) [tiles[index + 1], tiles[index]] = [tiles[index], tiles[index + 1]];
+            break;
+        case 'resize':
+            tile.size = sizes[(sizes.indexOf(tile.size) + 1) % sizes.length];
+            break;
+        case 'unpin':
+            tiles.splice(index, 1);
+            break;
+        default:
+            return;
+    }
+
+    saveDashboard(tiles);
+    render();
+}
+
+function render() {
+    const grid = document.getElementById('dashboard-grid');
+    const tiles = loadDashboard();
+
+    charts.forEach(chart => chart.destroy());
+    charts = [];
+    stale = false;
+
+    document.getElementById('dashboard-count').textContent =
+        tiles.length > 0 ? `${tiles.length} graphique${tiles.length > 1 ? 's' : ''} épinglé${tiles.length > 1 ? 's' : ''}` : '';
+
+    if (tiles.length === 0) {
+        grid.innerHTML = `
+      <div class="table-placeholder">
+        <p>Épinglez des préréglages depuis la vue Visualisation</p>
+      </div>
+    `;
+        return;
+    }
+
+    grid.innerHTML = tiles.map((tile, i) => renderTile(tile, i, tiles.length)).join('');
+
+    if (snapshotData.length === 0) return;
+
+    tiles.forEach((tile, i) => {
+        const preset = getPreset(tile.presetId);
+        const body = grid.querySelector(`.dashboard-tile[data-index="${i}"] .dashboard-tile-body`);
+        const config = buildChart(preset.settings, { snapshot: snapshotData, history: historyData });
+        if (!config) {
+            body.innerHTML = '<p class="table-placeholder">Champs du préréglage indisponibles</p>';
+            return;
+        }
+        charts.push(new Chart(body.querySelector('canvas').getContext('2d'), config));
+    });
+}
+
+function renderTile(tile, index, count) {
+    const preset = getPreset(tile.presetId);
+    const size = TILE_SIZES[tile.size] || TILE_SIZES.normal;
+    const nextSize = Object.values(TILE_SIZES)[(Object.keys(TILE_SIZES).indexOf(tile.size) + 1) % Object.keys(TILE_SIZES).length];
+
+    return `
+    <article class="dashboard-tile" data-index="${index}"
+      style="grid-column: span ${size.columns}; grid-row: span ${size.rows}">
+      <header class="dashboard-tile-header">
+        <h3>${escapeHtml(preset.settings.title || preset.name)}</h3>
+        <div class="dashboard-tile-actions">
+          <button data-action="left" title="Déplacer avant" ${index === 0 ? 'disabled' : ''}>◀</button>
+          <button data-action="right" title="Déplacer après" ${index === count - 1 ? 'disabled' : ''}>▶</button>
+          <button data-action="resize" title="Taille : ${nextSize.label}">⤢</button>
+          <button data-action="unpin" title="Retirer du tableau de bord">✕</button>
+        </div>
+      </header>
+      <div class="dashboard-tile-body">
+        ${snapshotData.length > 0 ? '<canvas></canvas>' : '<p class="table-placeholder">Lancez le pipeline ETL</p>'}
+      </div>
+    </article>
+  `;
+}
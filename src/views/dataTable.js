@@ -4,25 +4,63 @@
  * Sortable, searchable table of processed data.
  */
 
+import { THRESHOLD_METRICS } from '../etl/thresholds.js';
+import { DPE_CLASSES } from '../etl/schema.js';
+import { loadTaxonomy, findType, UNKNOWN_TYPE } from '../etl/taxonomy.js';
+import { escapeHtml } from './html.js';
+
 let tableData = [];
 let sortField = null;
 let sortDirection = 'asc';
 let searchTerm = '';
 let columnFilters = {}; // { field: value }
+let comparison = null; // { rows, labels, unchangedCount } while two runs are compared
+let taxonomy = loadTaxonomy();
 
 const COLUMN_CONFIG = [
     { key: 'nom', label: 'Bâtiment', type: 'text', filter: 'text' },
     { key: 'type', label: 'Type', type: 'badge', filter: 'select' },
+    { key: 'categorie', label: 'Catégorie', type: 'text', filter: 'select' },
     { key: 'electricite_kwh', label: 'Électricité (kWh)', type: 'number', filter: 'number' },
     { key: 'gaz_kwh', label: 'Gaz (kWh)', type: 'number', filter: 'number' },
+    { key: 'chaleur_kwh', label: 'Réseau chaleur (kWh)', type: 'number', filter: 'number' },
     { key: 'eau_m3', label: 'Eau (m³)', type: 'number', filter: 'number' },
     { key: 'energie_totale_kwh', label: 'Énergie Totale (kWh)', type: 'number', filter: 'number' },
     { key: 'surface_m2', label: 'Surface (m²)', type: 'number', filter: 'number' },
     { key: 'intensite_energetique', label: 'Intensité (kWh/m²)', type: 'intensity', filter: 'number' },
+    { key: 'chauffage_corrige_kwh', label: 'Chauffage corrigé DJU (kWh)', type: 'number', filter: 'number' },
+    { key: 'intensite_chauffage_corrigee', label: 'Chauffage corrigé (kWh/m²)', type: 'number', filter: 'number' },
+    { key: 'emissions_kgco2e', label: 'Émissions (kgCO₂e)', type: 'number', filter: 'number' },
+    { key: 'emissions_kgco2e_m2', label: 'kgCO₂e/m²', type: 'number', filter: 'number' },
+    { key: 'emissions_kgco2e_occupant', label: 'kgCO₂e/occupant', type: 'number', filter: 'number' },
+    { key: 'cout_total_eur', label: 'Coût annuel (€)', type: 'number', filter: 'number' },
     { key: 'classe_dpe', label: 'DPE', type: 'text', filter: 'select' },
-    { key: 'occupants', label: 'Occupants', type: 'number', filter: 'number' },
+    { key: 'classe_dpe_estimee', label: 'DPE estimé', type: 'dpe', filter: 'select' },
+    { key: 'occupants', label: 'Occupants', type: 'number', filter: 'number', unknownLabel: 'Inconnu' },
+    { key: 'energie_kwh_occupant', label: 'kWh/occupant', type: 'number', filter: 'number', unknownLabel: 'Inconnu' },
+    { key: 'eau_m3_occupant', label: 'm³/occupant', type: 'number', filter: 'number', unknownLabel: 'Inconnu' },
+    { key: 'surface_m2_occupant', label: 'm²/occupant', type: 'number', filter: 'number', unknownLabel: 'Inconnu' },
+    { key: 'annee', label: 'Année', type: 'text', filter: 'text' },
+    { key: 'evolution_energie_pct', label: 'Évol. N-1 (%)', type: 'number', filter: 'number' },
+    // Cost breakdown, included in the CSV export only
+    { key: 'cout_electricite_eur', label: 'Coût électricité (€)', type: 'number', exportOnly: true },
+    { key: 'cout_gaz_eur', label: 'Coût gaz (€)', type: 'number', exportOnly: true },
+    { key: 'cout_chaleur_eur', label: 'Coût réseau chaleur (€)', type: 'number', exportOnly: true },
+    { key: 'cout_eau_eur', label: 'Coût eau (€)', type: 'number', exportOnly: true },
 ];
 
+// Fixed precision of numbers in the CSV export
+const CSV_DECIMALS = 2;
+
+// Extra leading column shown in comparison mode
+const STATUS_COLUMN = { key: 'statut', label: 'Statut', type: 'status', filter: 'select' };
+
+const DIFF_STATUS = {
+    changed: 'Modifié',
+    added: 'Ajouté',
+    removed: 'Supprimé',
+};
+
 /**
  * Initialize data table module
  */
@@ -39,9 +77,15 @@ export function initDataTable() {
         downloadCSV();
     });
 
+    document.getElementById('comparison-exit').addEventListener('click', () => {
+        exitComparison();
+    });
+
     // Listen for ETL completion
     window.addEventListener('etl:complete', (e) => {
         tableData = e.detail.data;
+        taxonomy = loadTaxonomy();
+        comparison = null;
         // Reset filters when data changes? Or keep them? 
         // Let's reset for now to ensure consistency.
         columnFilters = {};
@@ -49,18 +93,45 @@ export function initDataTable() {
     });
 }
 
-function renderTable() {
-    const container = document.getElementById('table-container');
-    const countEl = document.getElementById('record-count');
+/**
+ * Show the differences between two stored runs in the table
+ * @param {Object} diff - Result of diffRuns()
+ * @param {Object} labels - { base, target } run descriptions
+ */
+export function showComparison(diff, labels) {
+    comparison = {
+        labels,
+        unchangedCount: diff.unchangedCount,
+        rows: [
+            ...diff.changed.map(c => ({ ...c.target, statut: DIFF_STATUS.changed, _status: 'changed', _changes: c.changes })),
+            ...diff.added.map(r => ({ ...r, statut: DIFF_STATUS.added, _status: 'added' })),
+            ...diff.removed.map(r => ({ ...r, statut: DIFF_STATUS.removed, _status: 'removed' })),
+        ],
+    };
+    columnFilters = {};
+    sortField = null;
+    renderTable();
+}
 
-    if (tableData.length === 0) {
-        container.innerHTML = '<div class="table-placeholder"><p>Lancez le pipeline ETL pour afficher les données</p></div>';
-        countEl.textContent = '0 enregistrements';
-        return;
-    }
+export function exitComparison() {
+    comparison = null;
+    columnFilters = {};
+    renderTable();
+}
+
+function getRows() {
+    return comparison ? comparison.rows : tableData;
+}
+
+function getColumns({ includeExportOnly = false } = {}) {
+    const columns = COLUMN_CONFIG.filter(col => includeExportOnly || !col.exportOnly);
+    return comparison ? [STATUS_COLUMN, ...columns] : columns;
+}
 
-    // Filter
-    let filtered = tableData;
+// Rows after global search, column filters and sorting
+function getVisibleRows() {
+    const columns = getColumns();
+    let filtered = getRows();
 
     // Global search
     if (searchTerm) {
@@ -80,7 +151,7 @@ function renderTable() {
             const filterValue = String(value).toLowerCase();
 
             // For select fields, we want exact match (mostly)
-            const config = COLUMN_CONFIG.find(c => c.key === field);
+            const config = columns.find(c => c.key === field);
             if (config && config.filter === 'select') {
                 return cellValue === filterValue;
             }
@@ -106,11 +177,31 @@ function renderTable() {
         });
     }
 
+    return filtered;
+}
+
+function renderTable() {
+    const container = document.getElementById('table-container');
+    const countEl = document.getElementById('record-count');
+    const columns = getColumns();
+
+    renderComparisonBanner();
+
+    if (getRows().length === 0) {
+        container.innerHTML = comparison
+            ? '<div class="table-placeholder"><p>Aucune différence entre les deux exécutions</p></div>'
+            : '<div class="table-placeholder"><p>Lancez le pipeline ETL pour afficher les données</p></div>';
+        countEl.textContent = '0 enregistrements';
+        return;
+    }
+
+    const filtered = getVisibleRows();
+
     countEl.textContent = `${filtered.length} enregistrement${filtered.length > 1 ? 's' : ''}`;
 
     // Build table HTML
     // Row 1: Headers with Sorting
-    const theadSort = COLUMN_CONFIG.map(col => {
+    const theadSort = columns.map(col => {
         const isSorted = sortField === col.key;
         const arrow = isSorted ? (sortDirection === 'asc' ? '↑' : '↓') : '↕';
         return `<th data-field="${col.key}" class="${isSorted ? 'sorted' : ''}">
@@ -122,27 +213,15 @@ function renderTable() {
     }).join('');
 
     // Row 2: Filter inputs
-    const theadFilter = COLUMN_CONFIG.map(col => {
+    const theadFilter = columns.map(col => {
         return `<th class="filter-cell">
       ${renderFilterInput(col)}
     </th>`;
     }).join('');
 
     const tbody = filtered.map(row => {
-        const cells = COLUMN_CONFIG.map(col => {
-            const value = row[col.key];
-            switch (col.type) {
-                case 'badge':
-                    return `<td><span class="badge badge-${getBadgeClass(value)}">${value}</span></td>`;
-                case 'number':
-                    return `<td>${formatNumber(value)}</td>`;
-                case 'intensity':
-                    return `<td class="${getIntensityClass(value)}">${value}</td>`;
-                default:
-                    return `<td>${value}</td>`;
-            }
-        }).join('');
-        return `<tr>${cells}</tr>`;
+        const cells = columns.map(col => renderCell(col, row)).join('');
+        return `<tr class="${row._status ? `row-${row._status}` : ''}">${cells}</tr>`;
     }).join('');
 
     container.innerHTML = `
@@ -184,21 +263,89 @@ function renderTable() {
     });
 }
 
+function renderCell(col, row) {
+    const value = row[col.key];
+    const change = row._changes?.[col.key];
+    const classes = [];
+    let content;
+
+    switch (col.type) {
+        case 'badge':
+            content = renderTypeBadge(row);
+            break;
+        case 'number':
+            // Unknown values (e.g. missing occupancy) are flagged, not shown as 0
+            content = value === null && col.unknownLabel
+                ? `<span class="value-unknown">${col.unknownLabel}</span>`
+                : formatNumber(value);
+            break;
+        case 'intensity':
+            content = formatNumber(value);
+            classes.push(getLevelClass(row[THRESHOLD_METRICS[col.key].levelField]));
+            break;
+        case 'dpe':
+            content = value ? escapeHtml(value) : '—';
+            // Declared class disagrees with the one estimated from consumption
+            if (row.dpe_incoherent) {
+                classes.push('dpe-mismatch');
+                content = `<span title="Classe déclarée ${escapeHtml(row.classe_dpe || '—')}, estimée ${escapeHtml(value)} (${formatNumber(row.energie_primaire_kwh_m2)} kWhEP/m²)">⚠ ${escapeHtml(value)}</span>`;
+            }
+            break;
+        case 'status':
+            content = `<span class="diff-status diff-${row._status}">${value}</span>`;
+            break;
+        default:
+            content = value === null || value === undefined ? '—' : escapeHtml(value);
+    }
+
+    // Highlight fields that differ from the base run and show the previous value
+    if (change) {
+        classes.push('cell-changed');
+        const before = typeof change.before === 'number' ? formatNumber(change.before) : escapeHtml(change.before || '—');
+        content += `<span class="cell-previous">avant : ${before}</span>`;
+    }
+
+    return `<td class="${classes.join(' ')}">${content}</td>`;
+}
+
+function renderComparisonBanner() {
+    const banner = document.getElementById('comparison-banner');
+
+    if (!comparison) {
+        banner.hidden = true;
+        return;
+    }
+
+    const counts = Object.fromEntries(Object.keys(DIFF_STATUS).map(status => [
+        status,
+        comparison.rows.filter(r => r._status === status).length,
+    ]));
+
+    banner.hidden = false;
+    banner.querySelector('.comparison-text').innerHTML = `
+    Comparaison <strong>${escapeHtml(comparison.labels.base)}</strong> → <strong>${escapeHtml(comparison.labels.target)}</strong>
+    · ${counts.changed} modifié(s) · ${counts.added} ajouté(s) · ${counts.removed} supprimé(s)
+    · ${comparison.unchangedCount} inchangé(s)
+  `;
+}
+
 function renderFilterInput(col) {
     const value = columnFilters[col.key] || '';
 
     if (col.filter === 'select') {
         let options = [];
-        if (col.key === 'type') {
-            options = [...new Set(tableData.map(d => d.type))].sort();
-        } else if (col.key === 'classe_dpe') {
-            options = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+        if (col.key === 'type' || col.key === 'categorie') {
+            options = [...new Set(getRows().map(d => d[col.key]).filter(Boolean))].sort();
+        } else if (col.key === 'classe_dpe' || col.key === 'classe_dpe_estimee') {
+            options = DPE_CLASSES;
+        } else if (col.key === STATUS_COLUMN.key) {
+            options = Object.values(DIFF_STATUS);
         }
 
         return `
       <select class="header-filter" data-field="${col.key}">
         <option value="all">Tous</option>
-        ${options.map(opt => `<option value="${opt}" ${opt === value ? 'selected' : ''}>${opt}</option>`).join('')}
+        ${options.map(opt => `<option value="${escapeHtml(opt)}" ${opt === value ? 'selected' : ''}>${escapeHtml(opt)}</option>`).join('')}
       </select>
     `;
     }
@@ -208,52 +355,23 @@ function renderFilterInput(col) {
            class="header-filter" 
            data-field="${col.key}" 
            placeholder="Filtrer..." 
-           value="${value}" />
+           value="${escapeHtml(value)}" />
   `;
 }
 
 function downloadCSV() {
-    if (tableData.length === 0) return;
+    if (getRows().length === 0) return;
 
     // Use currently visible data (applying all filters)
-    // The same logic as in renderTable but returning the array
-    let filtered = tableData;
-
-    if (searchTerm) {
-        filtered = filtered.filter(row =>
-            Object.values(row).some(val =>
-                String(val).toLowerCase().includes(searchTerm)
-            )
-        );
-    }
+    const columns = getColumns({ includeExportOnly: true });
+    const filtered = getVisibleRows();
 
-    Object.entries(columnFilters).forEach(([field, value]) => {
-        if (!value || value === 'all') return;
-        filtered = filtered.filter(row => {
-            const cellValue = String(row[field]).toLowerCase();
-            const filterValue = String(value).toLowerCase();
-            const config = COLUMN_CONFIG.find(c => c.key === field);
-            if (config && config.filter === 'select') return cellValue === filterValue;
-            return cellValue.includes(filterValue);
-        });
-    });
-
-    if (sortField) {
-        filtered = [...filtered].sort((a, b) => {
-            const va = a[sortField];
-            const vb = b[sortField];
-            if (typeof va === 'number' && typeof vb === 'number') {
-                return sortDirection === 'asc' ? va - vb : vb - va;
-            }
-            return sortDirection === 'asc' ? String(va).localeCompare(String(vb)) : String(vb).localeCompare(String(va));
-        });
-    }
-
-    const headers = COLUMN_CONFIG.map(col => col.label).join(';');
+    const headers = columns.map(col => col.label).join(';');
     const rows = filtered.map(row => {
-        return COLUMN_CONFIG.map(col => {
+        return columns.map(col => {
             let val = row[col.key];
             if (val === null || val === undefined) return '';
+            if (typeof val === 'number' && ['number', 'intensity'].includes(col.type)) return formatCsvNumber(val);
             return `"${String(val).replace(/"/g, '""')}"`;
         }).join(';');
     });
@@ -272,25 +390,26 @@ function downloadCSV() {
     document.body.removeChild(link);
 }
 
-function getBadgeClass(type) {
-    const map = {
-        'École': 'ecole',
-        'Piscine': 'piscine',
-        'Mairie': 'mairie',
-        'Bibliothèque': 'bibliotheque',
-        'Gymnase': 'gymnase',
-        'Crèche': 'creche',
-    };
-    return map[type] || 'ecole';
+// Badge colour comes from the shared taxonomy; unknown codes are shown as such
+function renderTypeBadge(row) {
+    const entry = findType(taxonomy, row);
+    const title = entry === UNKNOWN_TYPE ? 'Code absent de la taxonomie' : entry.category || '';
+    const color = escapeHtml(entry.color);
+    return `<span class="badge" style="background:${color}26;color:${color}" title="${escapeHtml(title)}">${escapeHtml(entry.icon)} ${escapeHtml(row.type)}</span>`;
+}
+
+// Values keep full precision in the pipeline; rounding happens here only
+// Excel with French settings reads ';' files with a comma decimal and no grouping
+function formatCsvNumber(value, decimals = CSV_DECIMALS) {
+    return value.toFixed(decimals).replace('.', ',');
 }
 
-function formatNumber(value) {
+function formatNumber(value, maximumFractionDigits = 1) {
     if (value === null || value === undefined) return '—';
-    return new Intl.NumberFormat('fr-FR').format(value);
+    return new Intl.NumberFormat('fr-FR', { maximumFractionDigits }).format(value);
 }
 
-function getIntensityClass(value) {
-    if (value < 30) return 'consumption-low';
-    if (value < 60) return 'consumption-medium';
-    return 'consumption-high';
+// Levels are computed by the pipeline from the per-type thresholds
+function getLevelClass(level) {
+    return `consumption-${level || 'medium'}`;
 }
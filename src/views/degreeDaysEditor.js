@@ -0,0 +1,98 @@
+/**
+ * degreeDaysEditor.js — Degree-day series editor
+ *
+ * DJU de référence et série annuelle utilisés pour la correction
+ * climatique, saisis ou importés depuis un fichier CSV
+ * (section du panneau de paramètres).
+ */
+
+import {
+    loadDegreeDays,
+    saveDegreeDays,
+    resetDegreeDays,
+    parseDegreeDays,
+} from '../etl/degreeDays.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Degree-days section of the settings panel
+ */
+export const degreeDaysSection = {
+    title: 'Degrés-jours (correction climatique)',
+    render(container) {
+        const series = loadDegreeDays();
+        const lines = Object.entries(series.annual)
+            .sort(([a], [b]) => a - b)
+            .map(([year, dju]) => `${year};${dju}`)
+            .join('\n');
+
+        container.innerHTML = `
+      <p class="import-info">${escapeHtml(series.station)}, base ${series.base} °C — une ligne « année;DJU » par année.
+        Sans série, aucune correction climatique n'est appliquée.</p>
+      <div class="dju-editor">
+        <label class="mapping-row">
+          <span class="mapping-field">DJU de référence (année normale)</span>
+          <input type="number" class="header-filter dju-reference" min="1" step="any" value="${series.reference ?? ''}" />
+        </label>
+        <label class="mapping-row">
+          <span class="mapping-field">Série annuelle</span>
+          <textarea class="header-filter dju-series" rows="5">${lines}</textarea>
+        </label>
+        <label class="control-btn dju-import">
+          Importer un CSV
+          <input type="file" accept=".csv,.txt" hidden />
+        </label>
+      </div>
+      <p class="import-error dju-error"></p>
+    `;
+
+        // An imported file replaces the series text, saved on "Appliquer"
+        const errorLine = container.querySelector('.dju-error');
+        container.querySelector('.dju-import input').addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            if (!file) return;
+            try {
+                const annual = parseDegreeDays(await file.text());
+                if (Object.keys(annual).length === 0) throw new Error('aucune ligne « année;DJU » reconnue');
+                container.querySelector('.dju-series').value = Object.entries(annual)
+                    .map(([year, dju]) => `${year};${dju}`)
+                    .join('\n');
+                container.dataset.station = `Série importée (${file.name})`;
+                errorLine.textContent = '';
+            } catch (error) {
+                errorLine.textContent = `Import impossible : ${error.message}`;
+            } finally {
+                e.target.value = '';
+            }
+        });
+    },
+    read(container) {
+        const series = loadDegreeDays();
+        const referenceInput = container.querySelector('.dju-reference');
+        const seriesInput = container.querySelector('.dju-series');
+        const reference = Number(referenceInput.value);
+        const annual = parseDegreeDays(seriesInput.value);
+
+        // Both left empty: no series, heating is not corrected
+        if (referenceInput.value.trim() === '' && seriesInput.value.trim() === '') {
+            referenceInput.classList.remove('invalid');
+            seriesInput.classList.remove('invalid');
+            container.querySelector('.dju-error').textContent = '';
+            return { ...series, reference: null, annual: {} };
+        }
+
+        const referenceOk = reference > 0;
+        const seriesOk = Object.keys(annual).length > 0;
+        referenceInput.classList.toggle('invalid', !referenceOk);
+        seriesInput.classList.toggle('invalid', !seriesOk);
+
+        const valid = referenceOk && seriesOk;
+        container.querySelector('.dju-error').textContent = valid
+            ? ''
+            : 'Indiquez un DJU de référence positif et au moins une ligne « année;DJU ».';
+        const station = container.dataset.station || series.station;
+        return valid ? { ...series, station, reference, annual } : null;
+    },
+    save: saveDegreeDays,
+    reset: resetDegreeDays,
+};
@@ -0,0 +1,52 @@
+/**
+ * emissionFactorsEditor.js — Emission factors editor
+ *
+ * Facteur d'émission (kgCO₂e/kWh) de chaque vecteur énergétique
+ * (section du panneau de paramètres).
+ */
+
+import {
+    ENERGY_VECTORS,
+    loadEmissionFactors,
+    saveEmissionFactors,
+    resetEmissionFactors,
+} from '../etl/emissions.js';
+
+/**
+ * Emission factors section of the settings panel
+ */
+export const emissionFactorsSection = {
+    title: 'Facteurs d\'émission (kgCO₂e/kWh)',
+    render(container) {
+        const factors = loadEmissionFactors();
+        container.innerHTML = `
+      <div class="settings-grid">
+        ${Object.entries(ENERGY_VECTORS).map(([vector, cfg]) => `
+        <label class="mapping-row">
+          <span class="mapping-field">${cfg.label}</span>
+          <input type="number" class="header-filter factor-input" min="0" step="any"
+                 data-vector="${vector}" value="${factors[vector]}"
+                 placeholder="${cfg.defaultFactor}" />
+        </label>`).join('')}
+      </div>
+      <p class="import-error factors-error"></p>
+    `;
+    },
+    read(container) {
+        const factors = {};
+        let valid = true;
+
+        container.querySelectorAll('.factor-input').forEach(input => {
+            const value = Number(input.value.trim() || input.placeholder);
+            const ok = input.value.trim() === '' || value >= 0;
+            input.classList.toggle('invalid', !ok);
+            if (ok) factors[input.dataset.vector] = value;
+            valid = valid && ok;
+        });
+
+        container.querySelector('.factors-error').textContent = valid ? '' : 'Les facteurs doivent être des nombres positifs.';
+        return valid ? factors : null;
+    },
+    save: saveEmissionFactors,
+    reset: resetEmissionFactors,
+};
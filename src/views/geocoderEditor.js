@@ -0,0 +1,95 @@
+/**
+ * geocoderEditor.js — Geocoder settings
+ *
+ * Choix du géocodeur utilisé pour les adresses sans coordonnées : service
+ * local compatible API BAN ou extrait BAN chargé pour la session
+ * (section du panneau de paramètres).
+ */
+
+import {
+    GEOCODER_MODES,
+    loadGeocoderSettings,
+    saveGeocoderSettings,
+    resetGeocoderSettings,
+    loadBanExtract,
+    getBanExtractName,
+    clearGeocodeCache,
+} from '../etl/geocoding.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Geocoding section of the settings panel
+ */
+export const geocoderSection = {
+    title: 'Géocodage des adresses',
+    render(container) {
+        const settings = loadGeocoderSettings();
+        container.innerHTML = `
+      <div class="settings-grid">
+        <label class="mapping-row">
+          <span class="mapping-field">Géocodeur</span>
+          <select class="header-filter geocoder-mode">
+            ${Object.entries(GEOCODER_MODES).map(([mode, label]) =>
+                `<option value="${mode}" ${mode === settings.mode ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+          </select>
+        </label>
+        <label class="mapping-row">
+          <span class="mapping-field">URL du service</span>
+          <input type="text" class="header-filter geocoder-url" value="${escapeHtml(settings.url)}" />
+        </label>
+        <label class="control-btn geocoder-file">
+          Charger un extrait BAN
+          <input type="file" accept=".csv" hidden />
+        </label>
+      </div>
+      <div class="import-actions">
+        <span class="import-info geocoder-status">${describeExtract()}</span>
+        <button class="control-btn geocoder-clear">Vider le cache</button>
+      </div>
+      <p class="import-error geocoder-error"></p>
+    `;
+
+        const status = container.querySelector('.geocoder-status');
+        const errorLine = container.querySelector('.geocoder-error');
+        container.querySelector('.geocoder-file input').addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            if (!file) return;
+            status.textContent = 'Lecture de l\'extrait…';
+            errorLine.textContent = '';
+            try {
+                const count = await loadBanExtract(file);
+                status.textContent = `${describeExtract()} (${count} adresses)`;
+                container.querySelector('.geocoder-mode').value = 'ban';
+            } catch (error) {
+                status.textContent = describeExtract();
+                errorLine.textContent = `Lecture de l'extrait impossible : ${error.message}`;
+            } finally {
+                e.target.value = '';
+            }
+        });
+
+        container.querySelector('.geocoder-clear').addEventListener('click', () => {
+            clearGeocodeCache();
+            status.textContent = 'Cache de géocodage vidé';
+        });
+    },
+    read(container) {
+        const mode = container.querySelector('.geocoder-mode').value;
+        const url = container.querySelector('.geocoder-url').value.trim();
+        let error = '';
+
+        if (mode === 'service' && !url) error = 'Indiquez l\'URL du service de géocodage.';
+        if (mode === 'ban' && !getBanExtractName()) error = 'Chargez un extrait BAN pour cette session.';
+
+        container.querySelector('.geocoder-error').textContent = error;
+        return error ? null : { mode, url };
+    },
+    save: saveGeocoderSettings,
+    reset: resetGeocoderSettings,
+};
+
+function describeExtract() {
+    const name = getBanExtractName();
+    return name ? `Extrait chargé : ${name}` : 'Aucun extrait BAN chargé';
+}
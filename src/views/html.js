@@ -0,0 +1,22 @@
+/**
+ * html.js — HTML escaping for view templates
+ *
+ * Les vues construisent leur DOM par gabarits innerHTML : toute valeur issue
+ * d'un fichier importé, d'une source HTTP ou d'une saisie passe par
+ * escapeHtml avant d'y être insérée (texte comme valeur d'attribut).
+ */
+
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute; null → ''
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ENTITIES[char]);
+}
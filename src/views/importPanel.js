@@ -0,0 +1,241 @@
+/**
+ * importPanel.js — File import panel
+ *
+ * Glisser-déposer d'un fichier CSV / JSON / XLSX, aperçu des premières lignes,
+ * correspondance des colonnes avec le schéma brut, puis injection dans le
+ * pipeline ETL via un adaptateur fichier.
+ */
+
+import { createFileAdapter, withColumnMapping } from '../etl/adapters.js';
+import { parseFile, getFileFormat, SUPPORTED_EXTENSIONS } from '../etl/fileParsers.js';
+import {
+    CANONICAL_FIELDS,
+    suggestMapping,
+    getMissingFields,
+    loadProfiles,
+    saveProfile,
+    deleteProfile,
+    findMatchingProfile,
+} from '../etl/mapping.js';
+import { escapeHtml } from './html.js';
+
+const PREVIEW_ROWS = 5;
+
+let pendingFile = null;
+let sourceColumns = [];
+let currentMapping = {};
+let activeProfile = '';
+
+/**
+ * Initialize the import panel
+ * @param {Object} options
+ * @param {Function} options.onImport - called with a file adapter when the user confirms
+ */
+export function initImportPanel({ onImport }) {
+    const toggleBtn = document.getElementById('import-btn');
+    const panel = document.getElementById('import-panel');
+    const dropZone = document.getElementById('import-dropzone');
+    const fileInput = document.getElementById('import-file');
+    const cancelBtn = document.getElementById('import-cancel');
+    const confirmBtn = document.getElementById('import-confirm');
+
+    fileInput.accept = SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(',');
+
+    toggleBtn.addEventListener('click', () => {
+        panel.classList.toggle('open');
+    });
+
+    cancelBtn.addEventListener('click', () => closePanel());
+
+    dropZone.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) selectFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('dragover');
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        const file = e.dataTransfer.files[0];
+        if (file) selectFile(file);
+    });
+
+    confirmBtn.addEventListener('click', () => {
+        if (!pendingFile || getMissingFields(currentMapping).length > 0) return;
+        const adapter = withColumnMapping(createFileAdapter(pendingFile), { ...currentMapping });
+        closePanel();
+        onImport(adapter);
+    });
+
+    setupMappingListeners();
+}
+
+function setupMappingListeners() {
+    const container = document.getElementById('import-mapping');
+
+    container.addEventListener('change', (e) => {
+        if (e.target.matches('.mapping-select')) {
+            currentMapping[e.target.dataset.field] = e.target.value;
+            renderMapping();
+        } else if (e.target.matches('#mapping-profile')) {
+            const profile = loadProfiles().find(p => p.name === e.target.value);
+            currentMapping = profile
+                ? restrictToColumns(profile.mapping)
+                : suggestMapping(sourceColumns);
+            activeProfile = profile?.name || '';
+            renderMapping();
+        }
+    });
+
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('#mapping-save')) {
+            const input = document.getElementById('mapping-profile-name');
+            const name = input.value.trim();
+            if (!name) return;
+            saveProfile(name, currentMapping);
+            activeProfile = name;
+            renderMapping();
+        } else if (e.target.closest('#mapping-delete')) {
+            const name = document.getElementById('mapping-profile').value;
+            if (!name) return;
+            deleteProfile(name);
+            activeProfile = '';
+            renderMapping();
+        }
+    });
+}
+
+async function selectFile(file) {
+    const preview = document.getElementById('import-preview');
+    const confirmBtn = document.getElementById('import-confirm');
+
+    pendingFile = null;
+    confirmBtn.disabled = true;
+    document.getElementById('import-mapping').innerHTML = '';
+
+    if (!getFileFormat(file.name)) {
+        preview.innerHTML = `<p class="import-error">Format non supporté : ${escapeHtml(file.name)}</p>`;
+        return;
+    }
+
+    preview.innerHTML = '<p class="import-info">Lecture du fichier...</p>';
+
+    try {
+        const { records } = await parseFile(file);
+        if (records.length === 0) {
+            preview.innerHTML = `<p class="import-error">Aucun enregistrement dans ${escapeHtml(file.name)}</p>`;
+            return;
+        }
+
+        pendingFile = file;
+        preview.innerHTML = renderPreview(file, records);
+
+        // Reuse a saved profile when the file has all of its columns
+        sourceColumns = [...new Set(records.slice(0, 50).flatMap(r => Object.keys(r)))];
+        const profile = findMatchingProfile(sourceColumns);
+        currentMapping = profile ? restrictToColumns(profile.mapping) : suggestMapping(sourceColumns);
+        activeProfile = profile?.name || '';
+        renderMapping();
+    } catch (error) {
+        console.error('Import Error:', error);
+        preview.innerHTML = `<p class="import-error">Lecture impossible : ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderPreview(file, records) {
+    const columns = [...new Set(records.slice(0, PREVIEW_ROWS).flatMap(r => Object.keys(r)))];
+
+    const thead = columns.map(col => `<th>${escapeHtml(col)}</th>`).join('');
+    const tbody = records.slice(0, PREVIEW_ROWS).map(row => {
+        const cells = columns.map(col => `<td>${escapeHtml(row[col])}</td>`).join('');
+        return `<tr>${cells}</tr>`;
+    }).join('');
+
+    return `
+    <p class="import-info">${escapeHtml(file.name)} — ${records.length} ligne${records.length > 1 ? 's' : ''}</p>
+    <div class="import-preview-table">
+      <table class="data-table">
+        <thead><tr>${thead}</tr></thead>
+        <tbody>${tbody}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderMapping() {
+    const container = document.getElementById('import-mapping');
+    const confirmBtn = document.getElementById('import-confirm');
+    const missing = getMissingFields(currentMapping);
+
+    const profiles = loadProfiles();
+    const profileOptions = profiles
+        .map(p => `<option value="${escapeHtml(p.name)}" ${p.name === activeProfile ? 'selected' : ''}>${escapeHtml(p.name)}</option>`)
+        .join('');
+
+    const rows = CANONICAL_FIELDS.map(field => {
+        const selected = currentMapping[field.key] || '';
+        const options = sourceColumns
+            .map(col => `<option value="${escapeHtml(col)}" ${col === selected ? 'selected' : ''}>${escapeHtml(col)}</option>`)
+            .join('');
+        const isMissing = missing.includes(field);
+
+        return `
+      <div class="mapping-row ${isMissing ? 'missing' : ''}">
+        <span class="mapping-field">${field.label}${field.required ? ' *' : ''}${field.requiredUnless ? ' * (ou adresse)' : ''}</span>
+        <select class="mapping-select header-filter" data-field="${field.key}">
+          <option value="">— Ignorer —</option>
+          ${options}
+        </select>
+      </div>
+    `;
+    }).join('');
+
+    container.innerHTML = `
+    <div class="mapping-header">
+      <span class="import-info">Correspondance des colonnes</span>
+      <select id="mapping-profile" class="header-filter">
+        <option value="">Suggestion automatique</option>
+        ${profileOptions}
+      </select>
+      <button class="control-btn" id="mapping-delete" title="Supprimer le profil" ${activeProfile ? '' : 'disabled'}>✕</button>
+    </div>
+    <div class="mapping-rows">${rows}</div>
+    ${missing.length > 0
+        ? `<p class="import-error">Champs obligatoires manquants : ${missing.map(f => f.label).join(', ')}</p>`
+        : ''}
+    <div class="mapping-save">
+      <input type="text" id="mapping-profile-name" class="header-filter" placeholder="Nom du profil..." value="${escapeHtml(activeProfile)}" />
+      <button class="control-btn" id="mapping-save">Enregistrer</button>
+    </div>
+  `;
+
+    confirmBtn.disabled = !pendingFile || missing.length > 0;
+}
+
+function restrictToColumns(mapping) {
+    return Object.fromEntries(
+        Object.entries(mapping).filter(([, source]) => sourceColumns.includes(source))
+    );
+}
+
+function closePanel() {
+    const panel = document.getElementById('import-panel');
+    panel.classList.remove('open');
+    pendingFile = null;
+    sourceColumns = [];
+    currentMapping = {};
+    activeProfile = '';
+    document.getElementById('import-preview').innerHTML = '';
+    document.getElementById('import-mapping').innerHTML = '';
+    document.getElementById('import-confirm').disabled = true;
+}
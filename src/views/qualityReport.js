@@ -0,0 +1,222 @@
+/**
+ * qualityReport.js — Vue 4: Qualité des données
+ *
+ * Rapport de qualité produit par l'étape Transform : lignes rejetées,
+ * valeurs converties, erreurs de schéma, codes type inconnus,
+ * classes DPE invalides et revue des doublons fusionnés.
+ */
+
+import { REJECTION_REASONS, COERCION_KINDS } from '../etl/quality.js';
+import { MERGE_POLICIES, loadDedupSettings, saveDedupSettings } from '../etl/dedup.js';
+import { isStrictMode, setStrictMode } from '../etl/schema.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Initialize the data-quality view
+ */
+export function initQualityReport() {
+    window.addEventListener('etl:complete', (e) => {
+        renderReport(e.detail.quality);
+        renderDuplicates(e.detail.duplicates || []);
+    });
+
+    // Strict mode aborts the run: show the schema errors that caused it
+    window.addEventListener('etl:error', (e) => {
+        if (e.detail.error?.name === 'SchemaValidationError') {
+            renderStrictFailure(e.detail.error);
+        }
+    });
+
+    const strictToggle = document.getElementById('strict-mode');
+    strictToggle.checked = isStrictMode();
+    strictToggle.addEventListener('change', () => setStrictMode(strictToggle.checked));
+
+    setupDuplicateListeners();
+}
+
+function setupDuplicateListeners() {
+    const container = document.getElementById('duplicates-container');
+
+    container.addEventListener('change', (e) => {
+        const settings = loadDedupSettings();
+
+        if (e.target.matches('#dedup-default-policy')) {
+            settings.policy = e.target.value;
+        } else if (e.target.matches('.dedup-group-policy')) {
+            const key = e.target.dataset.key;
+            if (e.target.value === 'default') {
+                delete settings.overrides[key];
+            } else {
+                settings.overrides[key] = e.target.value;
+            }
+        } else {
+            return;
+        }
+
+        saveDedupSettings(settings);
+        // Re-run the pipeline so totals, charts and markers reflect the new rule
+        window.dispatchEvent(new CustomEvent('etl:rerun'));
+    });
+}
+
+function renderDuplicates(groups) {
+    const container = document.getElementById('duplicates-container');
+    const settings = loadDedupSettings();
+
+    const policyOptions = (selected) => Object.entries(MERGE_POLICIES)
+        .map(([key, label]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    const groupRows = groups.map(group => `
+      <div class="dedup-group">
+        <div class="dedup-group-header">
+          <span><strong>${escapeHtml(group.nom)}</strong> — ${escapeHtml(group.adresse || 'adresse inconnue')} (${escapeHtml(group.annee)})</span>
+          <select class="header-filter dedup-group-policy" data-key="${escapeHtml(group.key)}">
+            <option value="default" ${group.overridden ? '' : 'selected'}>Règle par défaut</option>
+            ${policyOptions(group.overridden ? group.policy : null)}
+          </select>
+        </div>
+        <table class="data-table">
+          <thead><tr><th>Nom</th><th>Adresse</th><th>Électricité (kWh)</th><th>Gaz (kWh)</th><th>Eau (m³)</th></tr></thead>
+          <tbody>${group.members.map(m => `
+            <tr>
+              <td>${escapeHtml(m.nom)}</td>
+              <td>${escapeHtml(m.adresse || '—')}</td>
+              <td>${formatNumber(m.electricite_kwh)}</td>
+              <td>${formatNumber(m.gaz_kwh)}</td>
+              <td>${formatNumber(m.eau_m3)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+    <div class="dedup-header">
+      <h3>Doublons fusionnés</h3>
+      <label>Règle par défaut
+        <select class="header-filter" id="dedup-default-policy">${policyOptions(settings.policy)}</select>
+      </label>
+    </div>
+    ${groups.length === 0 ? '<p class="quality-empty">Aucun doublon détecté</p>' : groupRows}
+  `;
+}
+
+function renderReport(report) {
+    const container = document.getElementById('quality-container');
+    if (!report) return;
+
+    const coercedByField = report.coercions.reduce((acc, c) => {
+        acc[c.field] = acc[c.field] || {};
+        acc[c.field][c.kind] = (acc[c.field][c.kind] || 0) + 1;
+        return acc;
+    }, {});
+
+    container.innerHTML = `
+    <div class="quality-cards">
+      ${renderCard('Lignes extraites', report.totalRows)}
+      ${renderCard('Lignes retenues', report.acceptedRows, 'low')}
+      ${renderCard('Lignes rejetées', report.rejected.length, report.rejected.length ? 'high' : 'low')}
+      ${renderCard('Valeurs converties', report.coercions.length, 'medium')}
+    </div>
+
+    <div class="quality-grid">
+      <section class="quality-section">
+        <h3>Lignes rejetées</h3>
+        ${report.rejected.length === 0
+        ? '<p class="quality-empty">Aucune ligne rejetée</p>'
+        : `<table class="data-table">
+            <thead><tr><th>Ligne</th><th>Bâtiment</th><th>Motifs</th></tr></thead>
+            <tbody>${report.rejected.map(r => `
+              <tr>
+                <td>${r.index + 1}</td>
+                <td>${escapeHtml(r.nom || '—')}</td>
+                <td>${r.reasons.map(code => REJECTION_REASONS[code] || code).join(', ')}</td>
+              </tr>`).join('')}
+            </tbody>
+          </table>`}
+      </section>
+
+      <section class="quality-section">
+        <h3>Valeurs converties</h3>
+        ${Object.keys(coercedByField).length === 0
+        ? '<p class="quality-empty">Aucune conversion</p>'
+        : `<table class="data-table">
+            <thead><tr><th>Champ source</th>${Object.values(COERCION_KINDS).map(l => `<th>${l}</th>`).join('')}</tr></thead>
+            <tbody>${Object.entries(coercedByField).map(([field, kinds]) => `
+              <tr>
+                <td>${escapeHtml(field)}</td>
+                ${Object.keys(COERCION_KINDS).map(kind => `<td>${kinds[kind] || 0}</td>`).join('')}
+              </tr>`).join('')}
+            </tbody>
+          </table>`}
+      </section>
+
+      <section class="quality-section quality-section-wide">
+        <h3>Erreurs de schéma</h3>
+        ${renderSchemaErrors(report.schemaErrors)}
+      </section>
+
+      <section class="quality-section">
+        <h3>Codes type_infra absents de la typologie</h3>
+        ${renderList(Object.entries(report.unknownTypes), ([code, count]) =>
+            `<li><span class="quality-code">${escapeHtml(code)}</span> — ${count} ligne${count > 1 ? 's' : ''}</li>`,
+            'Tous les codes sont reconnus')}
+      </section>
+
+      <section class="quality-section">
+        <h3>Classes DPE invalides</h3>
+        ${renderList(report.invalidDpe, d =>
+            `<li>Ligne ${d.index + 1} — ${escapeHtml(d.nom || '—')} : <span class="quality-code">${escapeHtml(d.value)}</span></li>`,
+            'Toutes les classes DPE sont valides')}
+      </section>
+    </div>
+  `;
+}
+
+function renderStrictFailure(error) {
+    const container = document.getElementById('quality-container');
+    document.getElementById('duplicates-container').innerHTML = '';
+
+    container.innerHTML = `
+    <section class="quality-section quality-section-wide">
+      <h3 class="consumption-high">Exécution interrompue — ${escapeHtml(error.message)}</h3>
+      ${renderSchemaErrors(error.errors)}
+    </section>
+  `;
+}
+
+function renderSchemaErrors(errors) {
+    if (errors.length === 0) return '<p class="quality-empty">Tous les enregistrements respectent le schéma</p>';
+
+    return `<table class="data-table">
+      <thead><tr><th>Ligne</th><th>Bâtiment</th><th>Champ</th><th>Erreur</th><th>Valeur</th></tr></thead>
+      <tbody>${errors.map(e => `
+        <tr>
+          <td>${e.index + 1}</td>
+          <td>${escapeHtml(e.nom || '—')}</td>
+          <td><span class="quality-code">${escapeHtml(e.field)}</span></td>
+          <td>${escapeHtml(e.message)}</td>
+          <td>${escapeHtml(e.value ?? '—')}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function formatNumber(value) {
+    return new Intl.NumberFormat('fr-FR').format(value);
+}
+
+function renderCard(label, value, level = '') {
+    return `
+    <div class="quality-card">
+      <span class="quality-card-value ${level ? `consumption-${level}` : ''}">${value}</span>
+      <span class="quality-card-label">${label}</span>
+    </div>
+  `;
+}
+
+function renderList(items, renderItem, emptyText) {
+    if (items.length === 0) return `<p class="quality-empty">${emptyText}</p>`;
+    return `<ul class="quality-list">${items.map(renderItem).join('')}</ul>`;
+}
@@ -0,0 +1,162 @@
+/**
+ * runHistory.js — Run-history drawer
+ *
+ * Liste les exécutions ETL enregistrées dans IndexedDB et permet de revenir
+ * à un instantané antérieur, de le supprimer ou d'en comparer deux.
+ */
+
+import { restoreRun, getCurrentRunId, clearCurrentRunId } from '../etl/pipeline.js';
+import { listRuns, getRun, deleteRun } from '../etl/runStore.js';
+import { diffRuns } from '../etl/diff.js';
+import { showComparison } from './dataTable.js';
+import { escapeHtml } from './html.js';
+
+// Run ids ticked for comparison (at most two)
+const selectedIds = new Set();
+
+/**
+ * Initialize the run-history drawer
+ */
+export function initRunHistory() {
+    const toggleBtn = document.getElementById('history-btn');
+    const drawer = document.getElementById('history-drawer');
+    const list = document.getElementById('history-list');
+
+    toggleBtn.addEventListener('click', () => {
+        drawer.classList.toggle('open');
+        if (drawer.classList.contains('open')) renderHistory();
+    });
+
+    document.getElementById('history-close').addEventListener('click', () => {
+        drawer.classList.remove('open');
+    });
+
+    list.addEventListener('click', async (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const id = Number(item.dataset.id);
+
+        if (e.target.closest('.history-delete')) {
+            try {
+                await deleteRun(id);
+                selectedIds.delete(id);
+                if (id === getCurrentRunId()) clearCurrentRunId();
+                showError('');
+            } catch (error) {
+                showError(`Suppression impossible : ${error.message}`);
+            }
+            renderHistory();
+        } else if (e.target.closest('.history-load')) {
+            // A successful restore re-renders the list through etl:complete
+            try {
+                if (await restoreRun(id)) {
+                    showError('');
+                    return;
+                }
+                showError('Cette exécution n\'est plus enregistrée.');
+            } catch (error) {
+                showError(`Chargement impossible : ${error.message}`);
+            }
+            renderHistory();
+        }
+    });
+
+    list.addEventListener('change', (e) => {
+        if (!e.target.matches('.history-compare input')) return;
+        const id = Number(e.target.value);
+        if (e.target.checked) {
+            selectedIds.add(id);
+        } else {
+            selectedIds.delete(id);
+        }
+        renderHistory();
+    });
+
+    document.getElementById('history-compare').addEventListener('click', async () => {
+        try {
+            await compareSelectedRuns();
+        } catch (error) {
+            showError(`Comparaison impossible : ${error.message}`);
+            return;
+        }
+        showError('');
+        drawer.classList.remove('open');
+        document.getElementById('nav-datatable').click();
+    });
+
+    // Keep the list in sync with new and restored runs
+    window.addEventListener('etl:complete', () => {
+        if (drawer.classList.contains('open')) renderHistory();
+    });
+}
+
+async function renderHistory() {
+    const list = document.getElementById('history-list');
+    const compareBtn = document.getElementById('history-compare');
+    let runs;
+
+    try {
+        runs = await listRuns();
+    } catch (error) {
+        list.innerHTML = `<p class="quality-empty">Historique indisponible : ${escapeHtml(error.message)}</p>`;
+        return;
+    }
+
+    compareBtn.disabled = selectedIds.size !== 2;
+    compareBtn.textContent = `Comparer la sélection (${selectedIds.size}/2)`;
+
+    if (runs.length === 0) {
+        list.innerHTML = '<p class="quality-empty">Aucune exécution enregistrée</p>';
+        return;
+    }
+
+    const activeId = getCurrentRunId();
+    const selectionFull = selectedIds.size >= 2;
+
+    list.innerHTML = runs.map(run => `
+    <div class="history-item ${run.id === activeId ? 'active' : ''}" data-id="${run.id}">
+      <div class="history-item-header">
+        <span class="history-date">${formatDate(run.timestamp)}</span>
+        ${run.id === activeId ? '<span class="history-badge">Affichée</span>' : ''}
+      </div>
+      <div class="history-source">${escapeHtml(run.metadata?.source || 'Source inconnue')}</div>
+      <div class="history-stats">
+        ${run.stats.buildings} bâtiments · ${run.stats.rejected} rejetés · ${run.stats.years.join(', ')}
+      </div>
+      <div class="history-actions">
+        <button class="control-btn history-load" ${run.id === activeId ? 'disabled' : ''}>Charger</button>
+        <button class="control-btn history-delete">Supprimer</button>
+        <label class="history-compare">
+          <input type="checkbox" value="${run.id}"
+                 ${selectedIds.has(run.id) ? 'checked' : ''}
+                 ${selectionFull && !selectedIds.has(run.id) ? 'disabled' : ''} />
+          Comparer
+        </label>
+      </div>
+    </div>
+  `).join('');
+}
+
+// The older run is the base, the newer one the target
+async function compareSelectedRuns() {
+    const [base, target] = await Promise.all(
+        [...selectedIds].sort((a, b) => a - b).map(id => getRun(id))
+    );
+    if (!base || !target) throw new Error('exécution introuvable');
+    showComparison(diffRuns(base.history, target.history), {
+        base: runLabel(base),
+        target: runLabel(target),
+    });
+}
+
+function showError(message) {
+    document.getElementById('history-error').textContent = message;
+}
+
+function runLabel(run) {
+    return `#${run.id} du ${formatDate(run.timestamp)}`;
+}
+
+function formatDate(iso) {
+    return new Intl.DateTimeFormat('fr-FR', { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(iso));
+}
@@ -0,0 +1,87 @@
+/**
+ * settingsPanel.js — Calculation settings panel
+ *
+ * Regroupe les paramètres qui influent sur les indicateurs calculés par le
+ * pipeline (typologie, seuils, facteurs d'émission, tarifs, degrés-jours,
+ * géocodage…).
+ * Chaque section s'affiche, se lit et s'enregistre indépendamment ; après
+ * enregistrement, le pipeline est relancé pour recalculer les indicateurs
+ * affichés partout.
+ */
+
+import { thresholdsSection } from './thresholdsEditor.js';
+import { emissionFactorsSection } from './emissionFactorsEditor.js';
+import { tariffsSection } from './tariffsEditor.js';
+import { degreeDaysSection } from './degreeDaysEditor.js';
+import { taxonomySection } from './taxonomyEditor.js';
+import { geocoderSection } from './geocoderEditor.js';
+
+// Each section: { title, render(container, data), read(container) → settings | null, save, reset }
+const SECTIONS = [
+    taxonomySection,
+    thresholdsSection,
+    emissionFactorsSection,
+    tariffsSection,
+    degreeDaysSection,
+    geocoderSection,
+];
+
+let currentData = [];
+let hasData = false;
+
+/**
+ * Initialize the settings panel
+ */
+export function initSettingsPanel() {
+    const toggleBtn = document.getElementById('settings-btn');
+    const panel = document.getElementById('settings-panel');
+
+    toggleBtn.addEventListener('click', () => {
+        panel.classList.toggle('open');
+        if (panel.classList.contains('open')) renderSections();
+    });
+
+    document.getElementById('settings-cancel').addEventListener('click', () => {
+        panel.classList.remove('open');
+    });
+
+    document.getElementById('settings-reset').addEventListener('click', () => {
+        SECTIONS.forEach(section => section.reset());
+        renderSections();
+        applySettings();
+    });
+
+    document.getElementById('settings-apply').addEventListener('click', () => {
+        const bodies = panel.querySelectorAll('.settings-body');
+        const values = SECTIONS.map((section, i) => section.read(bodies[i]));
+        if (values.includes(null)) return;
+
+        SECTIONS.forEach((section, i) => section.save(values[i]));
+        panel.classList.remove('open');
+        applySettings();
+    });
+
+    window.addEventListener('etl:complete', (e) => {
+        hasData = true;
+        currentData = e.detail.data;
+    });
+}
+
+// Indicators are computed by the pipeline, so loaded data must be reprocessed
+function applySettings() {
+    if (hasData) window.dispatchEvent(new CustomEvent('etl:rerun'));
+}
+
+function renderSections() {
+    const container = document.getElementById('settings-sections');
+
+    container.innerHTML = SECTIONS.map(section => `
+    <section class="settings-section">
+      <h5>${section.title}</h5>
+      <div class="settings-body"></div>
+    </section>
+  `).join('');
+
+    const bodies = container.querySelectorAll('.settings-body');
+    SECTIONS.forEach((section, i) => section.render(bodies[i], currentData));
+}
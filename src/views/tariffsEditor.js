@@ -0,0 +1,60 @@
+/**
+ * tariffsEditor.js — Tariff editor
+ *
+ * Prix unitaire et abonnement annuel de chaque vecteur
+ * (section du panneau de paramètres).
+ */
+
+import {
+    TARIFF_ITEMS,
+    loadTariffs,
+    saveTariffs,
+    resetTariffs,
+} from '../etl/tariffs.js';
+
+/**
+ * Tariffs section of the settings panel
+ */
+export const tariffsSection = {
+    title: 'Tarifs',
+    render(container) {
+        const tariffs = loadTariffs();
+        container.innerHTML = `
+      <div class="thresholds-table">
+        <table class="data-table">
+          <thead>
+            <tr><th>Poste</th><th>Prix unitaire</th><th>Abonnement (€/an)</th></tr>
+          </thead>
+          <tbody>
+            ${Object.entries(TARIFF_ITEMS).map(([item, cfg]) => `
+            <tr>
+              <td>${cfg.label} (${cfg.unit})</td>
+              <td><input type="number" class="header-filter tariff-input" min="0" step="any"
+                         data-item="${item}" data-key="price" value="${tariffs[item].price}" /></td>
+              <td><input type="number" class="header-filter tariff-input" min="0" step="any"
+                         data-item="${item}" data-key="subscription" value="${tariffs[item].subscription}" /></td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+      <p class="import-error tariffs-error"></p>
+    `;
+    },
+    read(container) {
+        const tariffs = {};
+        let valid = true;
+
+        container.querySelectorAll('.tariff-input').forEach(input => {
+            const value = Number(input.value.trim() || 0);
+            const ok = value >= 0;
+            input.classList.toggle('invalid', !ok);
+            tariffs[input.dataset.item] = { ...tariffs[input.dataset.item], [input.dataset.key]: value };
+            valid = valid && ok;
+        });
+
+        container.querySelector('.tariffs-error').textContent = valid ? '' : 'Les tarifs doivent être des nombres positifs.';
+        return valid ? tariffs : null;
+    },
+    save: saveTariffs,
+    reset: resetTariffs,
+};
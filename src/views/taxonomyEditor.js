@@ -0,0 +1,96 @@
+/**
+ * taxonomyEditor.js — Building-type taxonomy editor
+ *
+ * Ajout, modification et suppression des types de bâtiments : code
+ * source, libellé, icône, couleur et catégorie
+ * (section du panneau de paramètres).
+ */
+
+import {
+    loadTaxonomy,
+    saveTaxonomy,
+    resetTaxonomy,
+    normalizeCode,
+} from '../etl/taxonomy.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Taxonomy section of the settings panel
+ */
+export const taxonomySection = {
+    title: 'Typologie des bâtiments',
+    render(container) {
+        container.innerHTML = `
+      <div class="thresholds-table">
+        <table class="data-table">
+          <thead>
+            <tr><th>Code</th><th>Libellé</th><th>Icône</th><th>Couleur</th><th>Catégorie</th><th></th></tr>
+          </thead>
+          <tbody class="taxonomy-rows">
+            ${loadTaxonomy().map(renderRow).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="import-actions">
+        <button class="control-btn taxonomy-add">Ajouter un type</button>
+      </div>
+      <p class="import-error taxonomy-error"></p>
+    `;
+
+        const rows = container.querySelector('.taxonomy-rows');
+        container.querySelector('.taxonomy-add').addEventListener('click', () => {
+            rows.insertAdjacentHTML('beforeend', renderRow({ code: '', label: '', icon: '🏢', color: '#9ca3af', category: '' }));
+        });
+        rows.addEventListener('click', (e) => {
+            if (e.target.closest('.taxonomy-delete')) e.target.closest('tr').remove();
+        });
+    },
+    read(container) {
+        const taxonomy = [];
+        const codes = new Set();
+        let error = '';
+
+        container.querySelectorAll('.taxonomy-rows tr').forEach(tr => {
+            const field = (name) => tr.querySelector(`[data-field="${name}"]`);
+            const entry = {
+                code: normalizeCode(field('code').value),
+                label: field('label').value.trim(),
+                icon: field('icon').value.trim() || '🏢',
+                color: field('color').value,
+                category: field('category').value.trim(),
+            };
+
+            const duplicate = codes.has(entry.code);
+            field('code').classList.toggle('invalid', !entry.code || duplicate);
+            field('label').classList.toggle('invalid', !entry.label);
+            if (!entry.code || !entry.label) {
+                error = 'Chaque type doit avoir un code et un libellé.';
+            } else if (duplicate) {
+                error = `Le code ${entry.code} est utilisé plusieurs fois.`;
+            }
+
+            codes.add(entry.code);
+            taxonomy.push(entry);
+        });
+
+        if (!error && taxonomy.length === 0) error = 'La typologie doit contenir au moins un type.';
+
+        container.querySelector('.taxonomy-error').textContent = error;
+        return error ? null : taxonomy;
+    },
+    save: saveTaxonomy,
+    reset: resetTaxonomy,
+};
+
+function renderRow(entry) {
+    return `
+    <tr>
+      <td><input type="text" class="header-filter taxonomy-code" data-field="code" value="${escapeHtml(entry.code)}" /></td>
+      <td><input type="text" class="header-filter" data-field="label" value="${escapeHtml(entry.label)}" /></td>
+      <td><input type="text" class="header-filter taxonomy-icon" data-field="icon" value="${escapeHtml(entry.icon)}" /></td>
+      <td><input type="color" data-field="color" value="${escapeHtml(entry.color)}" /></td>
+      <td><input type="text" class="header-filter" data-field="category" value="${escapeHtml(entry.category)}" /></td>
+      <td><button class="control-btn taxonomy-delete" title="Supprimer">✕</button></td>
+    </tr>
+  `;
+}
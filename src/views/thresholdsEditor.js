@@ -0,0 +1,124 @@
+/**
+ * thresholdsEditor.js — Consumption thresholds editor
+ *
+ * Édition des seuils faible / moyen / élevé par indicateur, par défaut et
+ * par type de bâtiment (section du panneau de paramètres). Les lignes sont
+ * indexées par code de type ; seul le libellé est affiché.
+ */
+
+import {
+    THRESHOLD_METRICS,
+    loadThresholds,
+    saveThresholds,
+    resetThresholds,
+} from '../etl/thresholds.js';
+import { loadTaxonomy, findType } from '../etl/taxonomy.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Thresholds section of the settings panel
+ */
+export const thresholdsSection = {
+    title: 'Seuils de consommation',
+    render(container, data) {
+        renderEditor(container, loadThresholds(), data);
+    },
+    read: readEditor,
+    save: saveThresholds,
+    reset: resetThresholds,
+};
+
+function renderEditor(container, thresholds, data) {
+    const taxonomy = loadTaxonomy();
+    const labelOf = (code) => {
+        const entry = findType(taxonomy, { type_code: code });
+        return entry.code ? entry.label : code;
+    };
+    const knownCodes = data.map(d => d.type_code).filter(Boolean);
+    const types = [...new Set([...knownCodes, ...Object.keys(thresholds.types)])]
+        .sort((a, b) => labelOf(a).localeCompare(labelOf(b)));
+    const metrics = Object.entries(THRESHOLD_METRICS);
+
+    const header = metrics.map(([, cfg]) =>
+        `<th colspan="2">${cfg.label} (${cfg.unit})</th>`
+    ).join('');
+
+    const subHeader = metrics.map(() => '<th>Moyen dès</th><th>Élevé dès</th>').join('');
+
+    const renderRow = (type) => {
+        const cells = metrics.map(([metric]) => {
+            const bands = type === null ? thresholds.defaults[metric] : thresholds.types[type]?.[metric];
+            const fallback = thresholds.defaults[metric];
+            return ['low', 'high'].map(bound => `
+        <td>
+          <input type="number" class="header-filter threshold-input" min="0" step="any"
+                 data-type="${escapeHtml(type ?? '')}" data-metric="${metric}" data-bound="${bound}"
+                 value="${bands?.[bound] ?? ''}"
+                 placeholder="${type === null ? '' : fallback[bound]}" />
+        </td>`).join('');
+        }).join('');
+        return `<tr><td>${type === null ? '<strong>Tous types</strong>' : escapeHtml(labelOf(type))}</td>${cells}</tr>`;
+    };
+
+    container.innerHTML = `
+    <p class="import-info">Un type sans valeur reprend les seuils « Tous types ».</p>
+    <div class="thresholds-table">
+      <table class="data-table">
+        <thead>
+          <tr><th rowspan="2">Type</th>${header}</tr>
+          <tr>${subHeader}</tr>
+        </thead>
+        <tbody>
+          ${renderRow(null)}
+          ${types.map(renderRow).join('')}
+        </tbody>
+      </table>
+    </div>
+    <p class="import-error thresholds-error"></p>
+  `;
+}
+
+/**
+ * Read thresholds back from the inputs, or null when a band is invalid
+ */
+function readEditor(container) {
+    const errorEl = container.querySelector('.thresholds-error');
+    const thresholds = { defaults: {}, types: {} };
+    const rows = new Map();
+
+    container.querySelectorAll('.threshold-input').forEach(input => {
+        const rowKey = `${input.dataset.type}|${input.dataset.metric}`;
+        const row = rows.get(rowKey) || { type: input.dataset.type, metric: input.dataset.metric, inputs: {} };
+        row.inputs[input.dataset.bound] = input;
+        rows.set(rowKey, row);
+    });
+
+    let valid = true;
+    rows.forEach(({ type, metric, inputs }) => {
+        const low = inputs.low.value.trim();
+        const high = inputs.high.value.trim();
+        Object.values(inputs).forEach(input => input.classList.remove('invalid'));
+
+        // An empty type row inherits the defaults
+        if (type && low === '' && high === '') return;
+
+        const bands = {
+            low: Number(low || inputs.low.placeholder),
+            high: Number(high || inputs.high.placeholder),
+        };
+        if (!(bands.low >= 0 && bands.high > bands.low)) {
+            Object.values(inputs).forEach(input => input.classList.add('invalid'));
+            valid = false;
+            return;
+        }
+
+        if (type) {
+            thresholds.types[type] = { ...thresholds.types[type], [metric]: bands };
+        } else {
+            thresholds.defaults[metric] = bands;
+        }
+    });
+
+    errorEl.textContent = valid ? '' : 'Le seuil « Élevé » doit être supérieur au seuil « Moyen ».';
+    return valid ? thresholds : null;
+}
@@ -5,26 +5,25 @@
  */
 
 import { Chart, registerables } from 'chart.js';
+import { FIELD_CONFIG, AXIS_OPTIONS, buildChart, isCategoricalField, isXYChart } from './chartBuilder.js';
+import { exportChartPng, exportChartSvg, exportChartPdf } from './chartExport.js';
+import { loadPresets, getPreset, savePreset, deletePreset, pinPreset } from './chartPresets.js';
+import { escapeHtml } from './html.js';
 Chart.register(...registerables);
 
 let chartInstance = null;
 let currentType = 'bar';
 let currentData = [];
+let historyData = [];
+let sourceMetadata = {};
+let runTimestamp = null; // date of the displayed run, printed on PDF exports
+let selectedYear = 'latest';
 
-// Field definitions for select dropdowns
-const FIELD_CONFIG = {
-    nom: { label: 'Nom du bâtiment', numeric: false },
-    type: { label: 'Type d\'infrastructure', numeric: false },
-    electricite_kwh: { label: 'Électricité (kWh)', numeric: true },
-    gaz_kwh: { label: 'Gaz (kWh)', numeric: true },
-    eau_m3: { label: 'Eau (m³)', numeric: true },
-    surface_m2: { label: 'Surface (m²)', numeric: true },
-    occupants: { label: 'Occupants', numeric: true },
-    energie_totale_kwh: { label: 'Énergie Totale (kWh)', numeric: true },
-    intensite_energetique: { label: 'Intensité Énergie (kWh/m²)', numeric: true },
-    intensite_eau: { label: 'Intensité Eau (m³/m²)', numeric: true },
-    classe_dpe: { label: 'Classe DPE', numeric: false },
-};
+// Series plotted besides the main Y field: { field, color, axis: 'y' | 'y1' }
+let extraSeries = [];
+
+// Colours proposed for new series
+const SERIES_PALETTE = ['#f59e0b', '#a78bfa', '#f472b6', '#60a5fa', '#f87171', '#a3e635'];
 
 /**
  * Initialize visualization module
@@ -32,10 +31,17 @@ const FIELD_CONFIG = {
 export function initVisualization() {
     setupChartTypeGrid();
     setupFormListeners();
+    setupExport();
+    setupPresets();
 
     // Listen for ETL completion
     window.addEventListener('etl:complete', (e) => {
         currentData = e.detail.data;
+        historyData = e.detail.history || e.detail.data;
+        sourceMetadata = e.detail.metadata || {};
+        // Runs that could not be stored are dated by their completion, i.e. now
+        runTimestamp = e.detail.timestamp || new Date().toISOString();
+        populateYears(e.detail.years || []);
         enableForm();
         updateChart();
     });
@@ -61,6 +67,23 @@ function setupFormListeners() {
     const yLabel = document.getElementById('y-axis-label');
     const xColor = document.getElementById('x-axis-color');
     const yColor = document.getElementById('y-axis-color');
+    const yearSelect = document.getElementById('year-select');
+    const thresholdColors = document.getElementById('threshold-colors');
+    const stackSeries = document.getElementById('stack-series');
+    const aggregation = document.getElementById('aggregation-select');
+    const groupBy = document.getElementById('group-by');
+    const bubbleSize = document.getElementById('bubble-size');
+    const trendLine = document.getElementById('trend-line');
+
+    [thresholdColors, stackSeries, aggregation, groupBy, bubbleSize, trendLine].forEach(el => {
+        el.addEventListener('change', () => updateChart());
+    });
+    setupSeriesList();
+
+    yearSelect.addEventListener('change', () => {
+        selectedYear = yearSelect.value;
+        updateChart();
+    });
 
     [xSelect, ySelect, xLabel, yLabel].forEach(el => {
         el.addEventListener('change', () => updateChart());
@@ -78,10 +101,139 @@ function setupFormListeners() {
     });
 }
 
+function setupExport() {
+    document.getElementById('export-png').addEventListener('click', () => {
+        if (chartInstance) exportChartPng(chartInstance, getChartTitle());
+    });
+    document.getElementById('export-svg').addEventListener('click', () => {
+        if (chartInstance) exportChartSvg(chartInstance, getChartTitle());
+    });
+    document.getElementById('export-pdf').addEventListener('click', async () => {
+        if (!chartInstance) return;
+        const button = document.getElementById('export-pdf');
+        button.disabled = true;
+        try {
+            await exportChartPdf(chartInstance, {
+                title: getChartTitle(),
+                xLabel: document.getElementById('x-axis-label').value,
+                yLabel: getYAxisTitle(),
+                details: getChartDetails(),
+                metadata: sourceMetadata,
+                runTimestamp,
+            });
+        } catch (error) {
+            console.error('❌ Export PDF impossible :', error);
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+function getChartTitle() {
+    const title = document.getElementById('chart-title').value.trim();
+    return title || `${getYAxisTitle()} par ${document.getElementById('x-axis-label').value}`;
+}
+
+// Left axis label, plus the series drawn on the right axis
+function getYAxisTitle() {
+    const right = chartInstance?.options.scales?.y1?.title?.text;
+    const left = document.getElementById('y-axis-label').value;
+    return right ? `${left} / ${right}` : left;
+}
+
+// Year, aggregation and grouping shown under the PDF title
+function getChartDetails() {
+    const selectedText = (id) => {
+        const select = document.getElementById(id);
+        return select.options[select.selectedIndex]?.text;
+    };
+    const details = [`Année : ${selectedText('year-select')}`];
+    if (!document.getElementById('aggregation-select').disabled) {
+        details.push(`Agrégation : ${selectedText('aggregation-select')}`);
+        if (document.getElementById('group-by').value) details.push(`Groupé par : ${selectedText('group-by')}`);
+    }
+    return details;
+}
+
+function setupSeriesList() {
+    const list = document.getElementById('series-list');
+
+    document.getElementById('series-add').addEventListener('click', () => {
+        const used = new Set([document.getElementById('y-axis-data').value, ...extraSeries.map(s => s.field)]);
+        const field = getNumericFields().find(key => !used.has(key)) || getNumericFields()[0];
+        extraSeries.push({
+            field,
+            color: SERIES_PALETTE[extraSeries.length % SERIES_PALETTE.length],
+            axis: 'y',
+        });
+        renderSeriesList();
+        updateChart();
+    });
+
+    const onEdit = (e) => {
+        const row = e.target.closest('.series-row');
+        if (!row) return;
+        const series = extraSeries[Number(row.dataset.index)];
+        if (e.target.matches('.series-field')) series.field = e.target.value;
+        if (e.target.matches('.series-color')) series.color = e.target.value;
+        if (e.target.matches('.series-axis')) series.axis = e.target.value;
+        updateChart();
+    };
+    list.addEventListener('change', onEdit);
+    list.addEventListener('input', onEdit);
+
+    list.addEventListener('click', (e) => {
+        const remove = e.target.closest('.series-remove');
+        if (!remove) return;
+        extraSeries.splice(Number(remove.closest('.series-row').dataset.index), 1);
+        renderSeriesList();
+        updateChart();
+    });
+}
+
+function renderSeriesList() {
+    const options = (selected) => getNumericFields()
+        .map(key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${FIELD_CONFIG[key].label}</option>`)
+        .join('');
+
+    document.getElementById('series-list').innerHTML = extraSeries.map((series, i) => `
+      <div class="series-row" data-index="${i}">
+        <select class="series-field">${options(series.field)}</select>
+        <input type="color" class="series-color" value="${series.color}" />
+        <select class="series-axis">
+          ${Object.entries(AXIS_OPTIONS).map(([axis, label]) =>
+              `<option value="${axis}" ${axis === series.axis ? 'selected' : ''}>${label}</option>`
+          ).join('')}
+        </select>
+        <button class="series-remove" title="Retirer la série">✕</button>
+      </div>
+    `).join('');
+}
+
+function getNumericFields() {
+    return Object.keys(FIELD_CONFIG).filter(key => FIELD_CONFIG[key].numeric);
+}
+
+function populateYears(years) {
+    const yearSelect = document.getElementById('year-select');
+    if (selectedYear !== 'latest' && !years.includes(Number(selectedYear))) {
+        selectedYear = 'latest';
+    }
+
+    yearSelect.innerHTML = [
+        '<option value="latest">Dernière année connue</option>',
+        ...[...years].reverse().map(y => `<option value="${y}">${y}</option>`),
+    ].join('');
+    yearSelect.value = selectedYear;
+}
+
 function enableForm() {
     const xSelect = document.getElementById('x-axis-data');
     const ySelect = document.getElementById('y-axis-data');
 
+    // Later runs keep the chart being edited
+    const previous = xSelect.value ? readSettings() : null;
+
     // Populate selects
     const xOptions = Object.entries(FIELD_CONFIG)
         .map(([key, cfg]) => `<option value="${key}">${cfg.label}</option>`)
@@ -92,201 +244,211 @@ function enableForm() {
         .map(([key, cfg]) => `<option value="${key}">${cfg.label}</option>`)
         .join('');
 
+    const groupOptions = Object.entries(FIELD_CONFIG)
+        .filter(([key, cfg]) => !cfg.numeric && key !== 'nom')
+        .map(([key, cfg]) => `<option value="${key}">${cfg.label}</option>`)
+        .join('') + '<option value="nom">Bâtiment (axe temporel)</option>';
+
     xSelect.innerHTML = xOptions;
     ySelect.innerHTML = yOptions;
-
-    // Set defaults
-    xSelect.value = 'nom';
-    ySelect.value = 'energie_totale_kwh';
+    document.getElementById('group-by').innerHTML = `<option value="">Aucun</option>${groupOptions}`;
+    document.getElementById('bubble-size').innerHTML = `<option value="">Fixe</option>${yOptions}`;
 
     // Enable all form elements
-    document.querySelectorAll('#data-form select, #data-form input').forEach(el => {
+    document.querySelectorAll('#data-form select, #data-form input, #series-add, #export-form input, #export-form button, #preset-form select, #preset-form input, #preset-form button').forEach(el => {
         el.disabled = false;
     });
 
+    if (previous) {
+        applySettings(previous);
+        return;
+    }
+
+    // Set defaults
+    xSelect.value = 'nom';
+    ySelect.value = 'energie_totale_kwh';
+    renderSeriesList();
+
     // Set default labels
     document.getElementById('x-axis-label').value = 'Bâtiment';
     document.getElementById('y-axis-label').value = 'Énergie Totale (kWh)';
 }
 
-function updateChart() {
-    if (currentData.length === 0) return;
+/**
+ * Chart definition described by the side panel (see chartBuilder.js)
+ */
+function readSettings() {
+    const value = (id) => document.getElementById(id).value;
+    const checked = (id) => document.getElementById(id).checked;
 
-    const xField = document.getElementById('x-axis-data').value;
-    const yField = document.getElementById('y-axis-data').value;
-    const xLabel = document.getElementById('x-axis-label').value || xField;
-    const yLabel = document.getElementById('y-axis-label').value || yField;
-    const xColor = document.getElementById('x-axis-color').value;
-    const yColor = document.getElementById('y-axis-color').value;
+    return {
+        type: currentType,
+        title: value('chart-title').trim(),
+        year: selectedYear,
+        xField: value('x-axis-data'),
+        yField: value('y-axis-data'),
+        xLabel: value('x-axis-label'),
+        yLabel: value('y-axis-label'),
+        xColor: value('x-axis-color'),
+        yColor: value('y-axis-color'),
+        thresholdColors: checked('threshold-colors'),
+        stacked: checked('stack-series'),
+        aggregation: value('aggregation-select'),
+        groupBy: value('group-by'),
+        sizeField: value('bubble-size'),
+        trend: checked('trend-line'),
+        series: extraSeries.map(series => ({ ...series })),
+    };
+}
 
-    if (!xField || !yField) return;
+/**
+ * Fill the side panel with a chart definition; fields missing from the
+ * current selects (e.g. a year absent from this run) keep their value
+ */
+function applySettings(settings) {
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (value === undefined) return;
+        if (el.tagName === 'SELECT' && ![...el.options].some(o => o.value === String(value))) return;
+        el.value = value;
+    };
+    const setChecked = (id, value) => {
+        if (value !== undefined) document.getElementById(id).checked = Boolean(value);
+    };
 
-    // Hide placeholder, show canvas
-    const placeholder = document.getElementById('chart-placeholder');
-    const canvas = document.getElementById('main-chart');
-    placeholder.classList.add('hidden');
-    canvas.classList.remove('hidden');
+    currentType = settings.type || 'bar';
+    document.querySelectorAll('#chart-type-grid .chart-type-card').forEach(card => {
+        card.classList.toggle('active', card.dataset.type === currentType);
+    });
 
-    // Prepare data
-    let labels = [];
-    let values = [];
-
-    const isCategorical = !FIELD_CONFIG[xField].numeric && xField !== 'nom';
-
-    if (isCategorical) {
-        // Aggregate data by category
-        const groups = currentData.reduce((acc, d) => {
-            const key = String(d[xField]);
-            if (!acc[key]) acc[key] = 0;
-            acc[key] += Number(d[yField]) || 0;
-            return acc;
-        }, {});
-
-        labels = Object.keys(groups);
-        values = Object.values(groups);
-    } else {
-        // Direct mapping
-        labels = currentData.map(d => truncateLabel(String(d[xField])));
-        values = currentData.map(d => d[yField]);
-    }
+    setValue('year-select', settings.year);
+    selectedYear = document.getElementById('year-select').value || 'latest';
+    setValue('chart-title', settings.title);
+    setValue('x-axis-data', settings.xField);
+    setValue('y-axis-data', settings.yField);
+    setValue('x-axis-label', settings.xLabel);
+    setValue('y-axis-label', settings.yLabel);
+    setValue('x-axis-color', settings.xColor);
+    setValue('y-axis-color', settings.yColor);
+    document.getElementById('x-color-hex').textContent = document.getElementById('x-axis-color').value;
+    document.getElementById('y-color-hex').textContent = document.getElementById('y-axis-color').value;
+    setChecked('threshold-colors', settings.thresholdColors);
+    setChecked('stack-series', settings.stacked);
+    setValue('aggregation-select', settings.aggregation);
+    setValue('group-by', settings.groupBy);
+    setValue('bubble-size', settings.sizeField);
+    setChecked('trend-line', settings.trend);
+
+    extraSeries = (settings.series || [])
+        .filter(series => FIELD_CONFIG[series.field])
+        .map(series => ({ ...series }));
+    renderSeriesList();
+}
 
-    // Generate colors
-    const colors = generateColors(xColor, yColor, labels.length);
+// ---- Presets ----
 
-    // Destroy previous chart
-    if (chartInstance) {
-        chartInstance.destroy();
-    }
+function setupPresets() {
+    const select = document.getElementById('preset-select');
+    const nameInput = document.getElementById('preset-name');
+    const status = document.getElementById('preset-status');
 
-    const ctx = canvas.getContext('2d');
-    const config = buildChartConfig(currentType, labels, values, xLabel, yLabel, colors);
-    chartInstance = new Chart(ctx, config);
+    renderPresetOptions();
+
+    select.addEventListener('change', () => {
+        const preset = getPreset(select.value);
+        if (!preset) return;
+        nameInput.value = preset.name;
+        applySettings(preset.settings);
+        updateChart();
+    });
+
+    document.getElementById('preset-save').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        nameInput.classList.toggle('invalid', !name);
+        if (!name) {
+            status.textContent = 'Nommez le préréglage avant de l\'enregistrer.';
+            return;
+        }
+        const preset = savePreset(name, readSettings());
+        renderPresetOptions(preset.id);
+        status.textContent = `Préréglage « ${name} » enregistré`;
+        notifyDashboard();
+    });
+
+    document.getElementById('preset-pin').addEventListener('click', () => {
+        const preset = getPreset(select.value);
+        if (!preset) {
+            status.textContent = 'Enregistrez ou choisissez un préréglage à épingler.';
+            return;
+        }
+        status.textContent = pinPreset(preset.id)
+            ? `« ${preset.name} » épinglé au tableau de bord`
+            : `« ${preset.name} » est déjà épinglé`;
+        notifyDashboard();
+    });
+
+    document.getElementById('preset-delete').addEventListener('click', () => {
+        const preset = getPreset(select.value);
+        if (!preset) return;
+        deletePreset(preset.id);
+        nameInput.value = '';
+        renderPresetOptions();
+        status.textContent = `Préréglage « ${preset.name} » supprimé`;
+        notifyDashboard();
+    });
 }
 
-function buildChartConfig(type, labels, values, xLabel, yLabel, colors) {
-    const isAxisChart = ['bar', 'line', 'scatter'].includes(type);
-
-    const dataset = {
-        label: yLabel,
-        data: type === 'scatter'
-            ? values.map((v, i) => ({ x: i, y: v }))
-            : values,
-        backgroundColor: type === 'line'
-            ? colors.bg[0]
-            : colors.bg,
-        borderColor: type === 'line'
-            ? colors.border[0]
-            : colors.border,
-        borderWidth: type === 'line' ? 3 : 1,
-        tension: 0.4,
-        fill: type === 'line',
-        pointBackgroundColor: colors.border,
-        pointRadius: type === 'line' ? 4 : type === 'scatter' ? 6 : 0,
-        pointHoverRadius: type === 'scatter' ? 8 : 6,
-        borderRadius: type === 'bar' ? 6 : 0,
-    };
+function renderPresetOptions(selectedId = '') {
+    document.getElementById('preset-select').innerHTML = [
+        '<option value="">— Nouveau graphique —</option>',
+        ...loadPresets().map(preset =>
+            `<option value="${preset.id}" ${preset.id === selectedId ? 'selected' : ''}>${escapeHtml(preset.name)}</option>`
+        ),
+    ].join('');
+}
 
-    return {
-        type,
-        data: {
-            labels,
-            datasets: [dataset],
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            animation: {
-                duration: 600,
-                easing: 'easeOutQuart',
-            },
-            plugins: {
-                legend: {
-                    display: !isAxisChart,
-                    position: 'bottom',
-                    labels: {
-                        color: '#9ca3af',
-                        font: { family: 'Inter', size: 12 },
-                        padding: 16,
-                    },
-                },
-                tooltip: {
-                    backgroundColor: 'rgba(17, 24, 39, 0.95)',
-                    titleColor: '#f9fafb',
-                    bodyColor: '#9ca3af',
-                    borderColor: 'rgba(55, 65, 81, 0.5)',
-                    borderWidth: 1,
-                    cornerRadius: 8,
-                    padding: 12,
-                    titleFont: { family: 'Inter', weight: '600' },
-                    bodyFont: { family: 'Inter' },
-                },
-            },
-            ...(isAxisChart ? {
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: xLabel,
-                            color: '#9ca3af',
-                            font: { family: 'Inter', size: 12, weight: '500' },
-                        },
-                        ticks: {
-                            color: '#6b7280',
-                            font: { family: 'Inter', size: 11 },
-                            maxRotation: 45,
-                            minRotation: 0,
-                        },
-                        grid: { color: 'rgba(55, 65, 81, 0.3)' },
-                    },
-                    y: {
-                        title: {
-                            display: true,
-                            text: yLabel,
-                            color: '#9ca3af',
-                            font: { family: 'Inter', size: 12, weight: '500' },
-                        },
-                        ticks: {
-                            color: '#6b7280',
-                            font: { family: 'Inter', size: 11 },
-                        },
-                        grid: { color: 'rgba(55, 65, 81, 0.3)' },
-                        beginAtZero: true,
-                    },
-                },
-            } : {}),
-        },
-    };
+// The dashboard re-renders its tiles when presets or pins change
+function notifyDashboard() {
+    window.dispatchEvent(new CustomEvent('dashboard:update'));
 }
 
-function generateColors(color1, color2, count) {
-    const bg = [];
-    const border = [];
+function updateChart() {
+    if (currentData.length === 0) return;
 
-    for (let i = 0; i < count; i++) {
-        const ratio = count > 1 ? i / (count - 1) : 0;
-        const c = interpolateColor(color1, color2, ratio);
-        bg.push(c + '99'); // 60% opacity
-        border.push(c);
+    const settings = readSettings();
+    if (!settings.xField || !settings.yField) return;
+
+    // Aggregation and grouping only apply to categorical X axes, bubble size
+    // and trend line to XY scatters
+    const isCategorical = isCategoricalField(settings.xField);
+    const isXY = isXYChart(settings);
+    document.getElementById('aggregation-select').disabled = !isCategorical;
+    const groupBy = document.getElementById('group-by');
+    groupBy.disabled = !isCategorical;
+    // One series per building only makes sense across years
+    const byBuilding = groupBy.querySelector('option[value="nom"]');
+    byBuilding.disabled = !FIELD_CONFIG[settings.xField]?.time;
+    if (byBuilding.disabled && groupBy.value === 'nom') {
+        groupBy.value = '';
+        settings.groupBy = '';
     }
+    document.getElementById('bubble-size').disabled = !isXY;
+    document.getElementById('trend-line').disabled = !isXY;
 
-    return { bg, border };
-}
-
-function interpolateColor(hex1, hex2, ratio) {
-    const r1 = parseInt(hex1.slice(1, 3), 16);
-    const g1 = parseInt(hex1.slice(3, 5), 16);
-    const b1 = parseInt(hex1.slice(5, 7), 16);
-    const r2 = parseInt(hex2.slice(1, 3), 16);
-    const g2 = parseInt(hex2.slice(3, 5), 16);
-    const b2 = parseInt(hex2.slice(5, 7), 16);
+    const config = buildChart(settings, { snapshot: currentData, history: historyData });
+    if (!config) return;
 
-    const r = Math.round(r1 + (r2 - r1) * ratio);
-    const g = Math.round(g1 + (g2 - g1) * ratio);
-    const b = Math.round(b1 + (b2 - b1) * ratio);
+    // Hide placeholder, show canvas
+    const placeholder = document.getElementById('chart-placeholder');
+    const canvas = document.getElementById('main-chart');
+    placeholder.classList.add('hidden');
+    canvas.classList.remove('hidden');
 
-    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-}
+    // Destroy previous chart
+    if (chartInstance) {
+        chartInstance.destroy();
+    }
 
-function truncateLabel(label, maxLen = 20) {
-    return label.length > maxLen ? label.slice(0, maxLen) + '…' : label;
+    const ctx = canvas.getContext('2d');
+    chartInstance = new Chart(ctx, config);
 }